@@ -0,0 +1,355 @@
+/**
+ * gcode analyzer. reads slicer comment headers (kiri:moto, cura, prusa)
+ * and simulates moves to estimate print time, filament used, layer
+ * count, print bounds and temperatures.
+ */
+
+const fs = require('fs');
+const LineBuffer = require('./linebuffer');
+
+/** assumed acceleration (mm/s^2) for move time estimates */
+const ACCEL = 1000;
+
+/** parse "1d 2h 3m 4s" style durations into seconds */
+function parseDuration(str) {
+    let secs = 0;
+    let match;
+    let regex = /([\d.]+)\s*([dhms])/g;
+    while (match = regex.exec(str)) {
+        secs += parseFloat(match[1]) * { d: 86400, h: 3600, m: 60, s: 1 }[match[2]];
+    }
+    return secs;
+}
+
+/** slicer header comments. each returns [ key, value ] or null */
+const HEADERS = [
+    // cura
+    [ /^;TIME:\s*([\d.]+)/, m => [ 'time', parseFloat(m[1]) ] ],
+    [ /^;Filament used:\s*([\d.]+)m/, m => [ 'filament', parseFloat(m[1]) * 1000 ] ],
+    [ /^;LAYER_COUNT:\s*(\d+)/, m => [ 'layers', parseInt(m[1]) ] ],
+    // prusa / super slicer
+    [ /^;\s*estimated printing time \(normal mode\)\s*=\s*(.+)$/, m => [ 'time', parseDuration(m[1]) ] ],
+    [ /^;\s*filament used \[mm\]\s*=\s*([\d., ]+)$/, m => [
+        'filament', m[1].split(',').reduce((sum, v) => sum + (parseFloat(v) || 0), 0)
+    ] ],
+    [ /^;\s*total layers count\s*=\s*(\d+)/, m => [ 'layers', parseInt(m[1]) ] ],
+    // kiri:moto
+    [ /^;\s*print time:\s*([\d.]+)/i, m => [ 'time', parseFloat(m[1]) ] ],
+    [ /^;\s*filament used:\s*([\d.]+)\s*mm/i, m => [ 'filament', parseFloat(m[1]) ] ]
+];
+
+class Analyzer {
+    constructor() {
+        this.header = {};       // values found in slicer comments
+        this.pos = { X: 0, Y: 0, Z: 0, E: 0 };
+        this.absolute = true;   // G90 / G91
+        this.absE = true;       // M82 / M83
+        this.scale = 1;         // G21 / G20
+        this.feed = 3000;       // mm/min
+        this.tool = 0;
+        this.tools = {};        // tools that extruded
+        this.time = 0;          // simulated seconds
+        this.extruded = 0;      // net extrusion mm
+        this.layerZ = null;     // z of last extruding move
+        this.layers = 0;
+        this.lines = 0;
+        this.min = null;
+        this.max = null;
+        this.temps = {};        // highest target per heater
+        this.offset = 0;        // byte offset of the current line, set by the reader
+        this.zmove = null;      // line and offset of the last z change
+        this.index = [];        // [ { z, line, offset } ] where each layer begins
+    }
+
+    line(line) {
+        this.lines++;
+        let cpos = line.indexOf(';');
+        if (cpos >= 0) {
+            if (cpos === 0) {
+                this.comment(line.trim());
+            }
+            line = line.substring(0, cpos);
+        }
+        line = line.trim().replace(/^N\d+\s*/i, '').replace(/\*\d+$/, '');
+        if (line.length === 0 || line.charAt(0) === '(') {
+            return;
+        }
+        let args = {};
+        let match;
+        let regex = /([A-Z])\s*(-?[\d.]+)?/gi;
+        let code = null;
+        while (match = regex.exec(line)) {
+            let key = match[1].toUpperCase();
+            let val = match[2] !== undefined ? parseFloat(match[2]) : null;
+            if (code === null) {
+                code = key + (val !== null ? val : '');
+            } else {
+                args[key] = val;
+            }
+        }
+        this.command(code, args);
+    }
+
+    comment(line) {
+        for (let i = 0; i < HEADERS.length; i++) {
+            let match = line.match(HEADERS[i][0]);
+            if (match) {
+                let kv = HEADERS[i][1](match);
+                if (this.header[kv[0]] === undefined) {
+                    this.header[kv[0]] = kv[1];
+                }
+                return;
+            }
+        }
+    }
+
+    command(code, args) {
+        switch (code) {
+            case 'G0':
+            case 'G1':
+                return this.move(args);
+            case 'G2':
+            case 'G3':
+                return this.arc(args, code === 'G2');
+            case 'G4':
+                this.time += (args.P || 0) / 1000 + (args.S || 0);
+                break;
+            case 'G20':
+                this.scale = 25.4;
+                break;
+            case 'G21':
+                this.scale = 1;
+                break;
+            case 'G90':
+                this.absolute = this.absE = true;
+                break;
+            case 'G91':
+                this.absolute = this.absE = false;
+                break;
+            case 'M82':
+                this.absE = true;
+                break;
+            case 'M83':
+                this.absE = false;
+                break;
+            case 'G92':
+                for (let axis in this.pos) {
+                    if (args[axis] !== undefined && args[axis] !== null) {
+                        this.pos[axis] = args[axis] * (axis === 'E' ? 1 : this.scale);
+                    }
+                }
+                break;
+            case 'M104':
+            case 'M109':
+                this.temp(`T${args.T !== undefined ? args.T : this.tool}`, args.S || args.R);
+                break;
+            case 'M140':
+            case 'M190':
+                this.temp('B', args.S || args.R);
+                break;
+            default:
+                if (code && code.charAt(0) === 'T') {
+                    this.tool = parseInt(code.substring(1)) || 0;
+                }
+                break;
+        }
+    }
+
+    temp(heater, value) {
+        if (value > (this.temps[heater] || 0)) {
+            this.temps[heater] = value;
+        }
+    }
+
+    /** target position for the axes given in a move */
+    target(args) {
+        const pos = this.pos;
+        const next = Object.assign({}, pos);
+        for (let axis of [ 'X', 'Y', 'Z' ]) {
+            if (typeof args[axis] === 'number') {
+                let val = args[axis] * this.scale;
+                next[axis] = this.absolute ? val : pos[axis] + val;
+            }
+        }
+        if (typeof args.E === 'number') {
+            next.E = this.absE ? args.E : pos.E + args.E;
+        }
+        if (args.F) {
+            this.feed = args.F * this.scale;
+        }
+        return next;
+    }
+
+    move(args) {
+        const pos = this.pos;
+        const next = this.target(args);
+        if (next.Z !== pos.Z) {
+            this.zmove = { line: this.lines, offset: this.offset };
+        }
+        const dx = next.X - pos.X;
+        const dy = next.Y - pos.Y;
+        const dz = next.Z - pos.Z;
+        const de = next.E - pos.E;
+        this.travel(Math.sqrt(dx * dx + dy * dy + dz * dz) || Math.abs(de));
+        this.extrude(de, [ pos, next ]);
+        this.pos = next;
+    }
+
+    arc(args, clockwise) {
+        const pos = this.pos;
+        const next = this.target(args);
+        let cx, cy;
+        if (typeof args.R === 'number') {
+            // center from radius. negative R selects the long arc
+            let r = args.R * this.scale;
+            let mx = (pos.X + next.X) / 2;
+            let my = (pos.Y + next.Y) / 2;
+            let dx = next.X - pos.X;
+            let dy = next.Y - pos.Y;
+            let chord = Math.sqrt(dx * dx + dy * dy);
+            let h = Math.sqrt(Math.max(0, r * r - chord * chord / 4));
+            let sign = (clockwise ? 1 : -1) * (r < 0 ? -1 : 1);
+            cx = mx + sign * h * dy / (chord || 1);
+            cy = my - sign * h * dx / (chord || 1);
+        } else {
+            cx = pos.X + (args.I || 0) * this.scale;
+            cy = pos.Y + (args.J || 0) * this.scale;
+        }
+        const radius = Math.sqrt((pos.X - cx) * (pos.X - cx) + (pos.Y - cy) * (pos.Y - cy));
+        const a1 = Math.atan2(pos.Y - cy, pos.X - cx);
+        let a2 = Math.atan2(next.Y - cy, next.X - cx);
+        let sweep = a2 - a1;
+        if (clockwise && sweep >= 0) sweep -= Math.PI * 2;
+        if (!clockwise && sweep <= 0) sweep += Math.PI * 2;
+        const dz = next.Z - pos.Z;
+        const len = Math.sqrt(Math.pow(radius * sweep, 2) + dz * dz);
+        // sample the arc so bounds include its outer edge
+        const steps = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 16)));
+        const points = [ pos ];
+        for (let i = 1; i <= steps; i++) {
+            let a = a1 + sweep * i / steps;
+            points.push({
+                X: cx + Math.cos(a) * radius,
+                Y: cy + Math.sin(a) * radius,
+                Z: pos.Z + dz * i / steps
+            });
+        }
+        this.travel(len);
+        this.extrude(next.E - pos.E, points);
+        this.pos = next;
+    }
+
+    /** time for a move of len mm at the current feed with accel/decel */
+    travel(len) {
+        if (!len) {
+            return;
+        }
+        const v = this.feed / 60;
+        if (len < v * v / ACCEL) {
+            this.time += 2 * Math.sqrt(len / ACCEL);
+        } else {
+            this.time += len / v + v / ACCEL;
+        }
+    }
+
+    extrude(de, points) {
+        this.extruded += de;
+        if (de <= 0) {
+            return;
+        }
+        this.tools[this.tool] = true;
+        const end = points[points.length - 1];
+        if (end.Z !== this.layerZ && (this.layerZ === null || end.Z > this.layerZ)) {
+            // a layer starts at the move to its height when that came after the last layer
+            const last = this.index[this.index.length - 1];
+            const start = this.zmove && (!last || this.zmove.line > last.line) ?
+                this.zmove : { line: this.lines, offset: this.offset };
+            this.index.push({ z: end.Z, line: start.line, offset: start.offset });
+            this.layerZ = end.Z;
+            this.layers++;
+        }
+        points.forEach(p => {
+            if (!this.min) {
+                this.min = { X: p.X, Y: p.Y, Z: p.Z };
+                this.max = { X: p.X, Y: p.Y, Z: p.Z };
+                return;
+            }
+            for (let axis of [ 'X', 'Y', 'Z' ]) {
+                this.min[axis] = Math.min(this.min[axis], p[axis]);
+                this.max[axis] = Math.max(this.max[axis], p[axis]);
+            }
+        });
+    }
+
+    /** analysis results. header values win over simulated ones */
+    result() {
+        const header = this.header;
+        const round = v => Math.round(v * 100) / 100;
+        const bounds = this.min ? {
+            min: [ round(this.min.X), round(this.min.Y), round(this.min.Z) ],
+            max: [ round(this.max.X), round(this.max.Y), round(this.max.Z) ]
+        } : null;
+        return {
+            time: Math.round(header.time || this.time),
+            filament: round(header.filament || this.extruded),
+            layers: header.layers || this.layers,
+            bounds,
+            extent: bounds ? bounds.max.map((v, i) => round(v - bounds.min[i])) : null,
+            temps: this.temps,
+            tools: Object.keys(this.tools).map(v => parseInt(v)),
+            lines: this.lines,
+            source: {
+                time: header.time ? 'header' : 'sim',
+                filament: header.filament ? 'header' : 'sim',
+                layers: header.layers ? 'header' : 'sim'
+            }
+        };
+    }
+}
+
+/**
+ * stream a gcode file through the analyzer. with opt.index the result
+ * includes the 1-based line and byte offset where each layer begins
+ */
+function analyze(file, opt) {
+    return new Promise((resolve, reject) => {
+        const analyzer = new Analyzer();
+        const stream = fs.createReadStream(file);
+        let offset = 0;
+        const lbuf = new LineBuffer(stream, (line, length) => {
+            analyzer.offset = offset;
+            analyzer.line(line.toString());
+            offset += length;
+        });
+        stream
+            .on('error', error => {
+                reject(error);
+            })
+            .on('end', () => {
+                if (lbuf.buffer && lbuf.buffer.length) {
+                    analyzer.offset = offset;
+                    analyzer.line(lbuf.buffer.toString());
+                }
+                const result = analyzer.result();
+                if (opt && opt.index) {
+                    result.index = analyzer.index;
+                }
+                resolve(result);
+            });
+    });
+}
+
+module.exports = {
+    Analyzer,
+    analyze
+};
+
+if (!module.parent) {
+    analyze(process.argv[2])
+        .then(result => {
+            console.log(JSON.stringify(result, null, 4));
+        })
+        .catch(error => {
+            console.log({error});
+        });
+}
@@ -0,0 +1,225 @@
+/**
+ * camera frame sources. a target's camera is a jpeg file rewritten by a
+ * capture script ("file"), an http snapshot url ("url") or an mjpeg stream
+ * ("mjpeg"). the latest frame is cached and handed to every viewer so the
+ * device camera only sees one client no matter how many are watching.
+ */
+
+const fs = require('fs');
+const url = require('url');
+const http = require('http');
+const https = require('https');
+const EventEmitter = require('events');
+
+/** ms a frame is reused before a file or snapshot source is read again */
+const INTERVAL = 1000;
+
+/** ms without viewers before an mjpeg stream is closed */
+const IDLE = 30000;
+
+/** largest frame accepted while scanning a stream for jpeg markers */
+const MAX_FRAME = 8 * 1024 * 1024;
+
+const SOI = Buffer.from([0xff, 0xd8]);
+const EOI = Buffer.from([0xff, 0xd9]);
+
+function request(source, timeout) {
+    const target = url.parse(source);
+    return (target.protocol === 'https:' ? https : http).get({
+        host: target.hostname,
+        port: target.port,
+        path: target.path,
+        auth: target.auth,
+        timeout
+    });
+}
+
+class Camera extends EventEmitter {
+    /** opt: { file | url | mjpeg, interval, timeout } */
+    constructor(name, opt, log) {
+        super();
+        this.name = name;
+        this.opt = opt;
+        this.log = log || console.log;
+        this.interval = opt.interval || INTERVAL;
+        this.timeout = opt.timeout || 10000;
+        this.last = null;       // { data, time } of the newest frame
+        this.pending = null;    // snapshot fetch in progress
+        this.stream = null;     // open mjpeg request
+        this.used = 0;          // last time a frame was asked for
+        this.poller = null;
+        this.setMaxListeners(0);
+    }
+
+    get type() {
+        return this.opt.mjpeg ? "mjpeg" : this.opt.url ? "url" : "file";
+    }
+
+    /** latest frame, reading the source when the cached one is stale */
+    frame() {
+        this.used = Date.now();
+        switch (this.type) {
+            case "file": return this.readFile();
+            case "url": return this.snapshot();
+            case "mjpeg": return this.streamFrame();
+        }
+    }
+
+    /** record a new frame and pass it to stream viewers */
+    update(data) {
+        this.last = { data, time: Date.now() };
+        this.emit('frame', this.last);
+        return this.last;
+    }
+
+    readFile() {
+        return new Promise((resolve, reject) => {
+            fs.stat(this.opt.file, (error, stat) => {
+                if (error) {
+                    return reject(error.code);
+                }
+                if (this.last && this.mtime === stat.mtimeMs) {
+                    return resolve(this.last);
+                }
+                fs.readFile(this.opt.file, (error, data) => {
+                    if (error) {
+                        return reject(error.code);
+                    }
+                    // skip a file caught mid-rewrite
+                    if (data.length === 0) {
+                        return this.last ? resolve(this.last) : reject("empty frame");
+                    }
+                    this.mtime = stat.mtimeMs;
+                    resolve(this.update(data));
+                });
+            });
+        });
+    }
+
+    snapshot() {
+        if (this.last && Date.now() - this.last.time < this.interval) {
+            return Promise.resolve(this.last);
+        }
+        if (this.pending) {
+            return this.pending;
+        }
+        return this.pending = new Promise((resolve, reject) => {
+            const req = request(this.opt.url, this.timeout);
+            req.on('response', res => {
+                if (res.statusCode !== 200) {
+                    res.resume();
+                    return reject(`http ${res.statusCode}`);
+                }
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve(this.update(Buffer.concat(chunks))));
+                res.on('error', error => reject(error.code || error.message));
+            });
+            req.on('timeout', () => {
+                req.abort();
+            });
+            req.on('error', error => {
+                reject(error.code || error.message);
+            });
+        }).then(frame => {
+            this.pending = null;
+            return frame;
+        }).catch(error => {
+            this.pending = null;
+            throw error;
+        });
+    }
+
+    /** open the stream if needed and wait for its next frame */
+    streamFrame() {
+        this.open();
+        if (this.last && Date.now() - this.last.time < this.timeout) {
+            return Promise.resolve(this.last);
+        }
+        return new Promise((resolve, reject) => {
+            const next = frame => {
+                clearTimeout(timer);
+                resolve(frame);
+            };
+            const timer = setTimeout(() => {
+                this.removeListener('frame', next);
+                reject("no frame");
+            }, this.timeout);
+            this.once('frame', next);
+        });
+    }
+
+    /** connect to an mjpeg source and cut frames at jpeg start/end markers */
+    open() {
+        if (this.stream) {
+            return;
+        }
+        let buffer = Buffer.alloc(0);
+        const req = this.stream = request(this.opt.mjpeg, this.timeout);
+        const close = (error) => {
+            if (this.stream !== req) {
+                return;
+            }
+            this.stream = null;
+            req.abort();
+            if (error) {
+                this.log({camera: this.name, error});
+            }
+        };
+        req.on('response', res => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                return close(`http ${res.statusCode}`);
+            }
+            res.on('data', chunk => {
+                buffer = Buffer.concat([buffer, chunk]);
+                let start, end;
+                while ((start = buffer.indexOf(SOI)) >= 0 && (end = buffer.indexOf(EOI, start + 2)) >= 0) {
+                    this.update(buffer.slice(start, end + 2));
+                    buffer = buffer.slice(end + 2);
+                }
+                if (buffer.length > MAX_FRAME) {
+                    buffer = Buffer.alloc(0);
+                }
+                if (Date.now() - this.used > IDLE && this.listenerCount('frame') === 0) {
+                    close();
+                }
+            });
+            res.on('end', () => close("stream ended"));
+            res.on('error', error => close(error.code || error.message));
+        });
+        req.on('timeout', () => close("timeout"));
+        req.on('error', error => close(error.code || error.message));
+    }
+
+    /**
+     * call fn(frame) with each new frame until the returned function is
+     * called. file and snapshot sources are polled while anyone watches.
+     */
+    watch(fn) {
+        this.on('frame', fn);
+        this.used = Date.now();
+        if (this.type === "mjpeg") {
+            this.open();
+        } else if (!this.poller) {
+            this.poller = setInterval(() => {
+                if (this.listenerCount('frame') === 0) {
+                    clearInterval(this.poller);
+                    this.poller = null;
+                    return;
+                }
+                this.frame().catch(() => { });
+            }, this.interval);
+        }
+        if (this.last) {
+            fn(this.last);
+        }
+        this.frame().catch(() => { });
+        return () => {
+            this.removeListener('frame', fn);
+            this.used = Date.now();
+        };
+    }
+}
+
+module.exports = Camera;
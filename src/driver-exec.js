@@ -37,7 +37,7 @@ function execFilter(device, entry, index) {
         // storge image, if present, and add to cleanup list
         if (entry.image) {
             img = driver.api.Util.tempFileName();
-            fs.writeFileSync(img, entry.image.data);
+            fs.writeFileSync(img, entry.image.data || entry.image);
             entry.files.push(img);
         }
 
@@ -98,8 +98,12 @@ function execFilter(device, entry, index) {
 function onExecDone(entry, error) {
     let promises = entry.promises;
     delete entry.promises;
-    if (entry.error) {
-        promises.reject(entry.status, entry);
+    // spawn errors may be followed by an exit event
+    if (!promises) {
+        return;
+    }
+    if (error || entry.error) {
+        promises.reject(error || entry.status, entry);
     } else {
         promises.resolve(entry.status, entry);
     }
@@ -107,7 +111,7 @@ function onExecDone(entry, error) {
 
 const fs = require('fs');
 const spawn = require('child_process').spawn;
-const png2bmp = require('../src/image').png2bmp;
+const { png2bmp, sizeOf } = require('../src/image');
 
 const driver = {
     name: "exec",
@@ -121,7 +125,7 @@ const driver = {
             entry.promises = {resolve, reject};
 
             if (entry.image && device.filter === 'gx') {
-                png2bmp(Buffer.from(entry.image, "base64"))
+                png2bmp(Buffer.from(entry.image, "base64"), ...sizeOf(device.thumbnails, "bmp"))
                     .then(bmp => {
                         entry.image = bmp;
                         execFilterChain(device, entry);
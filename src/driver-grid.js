@@ -14,6 +14,7 @@ class Connection {
         this.connecting = false;
         this.status = { state: "offline" };
         this.kick = null;
+        this.console = null;    // device lines collected for a gcode call
     }
 
     connect() {
@@ -72,6 +73,8 @@ class Connection {
                                 T0: [ info.temp.ext[0], info.target.ext[0] ],
                                 B:  [ info.temp.bed, info.target.bed ]
                             };
+                        } else if (this.console) {
+                            this.console.push(line);
                         }
                     })
                     .on("error", (error) => {
@@ -122,6 +125,34 @@ class Connection {
         this.socket.write("*abort\n");
         return "cancelled";
     }
+
+    pause() {
+        this.socket.write("*pause\n");
+        return "paused";
+    }
+
+    resume() {
+        this.socket.write("*resume\n");
+        return "resumed";
+    }
+
+    /** write gcode lines and return what the device says in the next second */
+    gcode(lines) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket || !this.socket._ready) {
+                reject("not connected");
+                return;
+            }
+            const out = this.console = [];
+            lines.forEach(line => this.socket.write(`${line}\n`));
+            setTimeout(() => {
+                if (this.console === out) {
+                    this.console = null;
+                }
+                resolve(out);
+            }, 1000);
+        });
+    }
 }
 
 function getConnection(device) {
@@ -185,6 +216,51 @@ const driver = {
         });
     },
 
+    pause: (device) => {
+        return new Promise((resolve, reject) => {
+            getConnection(device)
+                .then(conn => {
+                    return conn.pause();
+                })
+                .then(pause => {
+                    resolve(pause);
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
+    resume: (device) => {
+        return new Promise((resolve, reject) => {
+            getConnection(device)
+                .then(conn => {
+                    return conn.resume();
+                })
+                .then(resume => {
+                    resolve(resume);
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
+    gcode: (device, lines) => {
+        return new Promise((resolve, reject) => {
+            getConnection(device)
+                .then(conn => {
+                    return conn.gcode(lines);
+                })
+                .then(reply => {
+                    resolve(reply);
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
     status: (device) => {
         return new Promise((resolve, reject) => {
             getConnection(device)
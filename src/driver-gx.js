@@ -1,5 +1,5 @@
 const GX = require('../src/lib-gx.js');
-const png2bmp = require('../src/image').png2bmp;
+const { png2bmp, sizeOf } = require('../src/image');
 
 /** target <-> connection cache */
 const cache = {};
@@ -87,7 +87,7 @@ class Connection {
     print(entry) {
         return new Promise((resolve, reject) => {
             if (entry.image) {
-                png2bmp(Buffer.from(entry.image, "base64"))
+                png2bmp(Buffer.from(entry.image, "base64"), ...sizeOf(this.device.thumbnails, "bmp"))
                     .then(bmp => {
                         return this.ctrl.print(entry.name, entry.data, bmp.data, entry.estime, entry.fused);
                     })
@@ -98,7 +98,13 @@ class Connection {
                         reject(error);
                     });
             } else {
-                return this.ctrl.print(entry.name, entry.data, null, entry.estime, entry.fused);
+                this.ctrl.print(entry.name, entry.data, null, entry.estime, entry.fused)
+                    .then(print => {
+                        resolve(print);
+                    })
+                    .catch(error => {
+                        reject(error);
+                    });
             }
         });
     }
@@ -107,6 +113,21 @@ class Connection {
         return this.ctrl.cancel();
     }
 
+    pause() {
+        return this.ctrl.pause();
+    }
+
+    resume() {
+        return this.ctrl.resume();
+    }
+
+    /** send gcode lines one at a time, collecting the replies */
+    gcode(lines) {
+        return lines.reduce((chain, line) => {
+            return chain.then(out => this.ctrl.send(line).then(reply => out.concat(reply)));
+        }, Promise.resolve([]));
+    }
+
     status() {
         return this.ctrl && this.ctrl.isConnected() ? this.ctrl.status : { state: "offline" };
     }
@@ -173,6 +194,51 @@ const driver = {
         });
     },
 
+    pause: (device) => {
+        return new Promise((resolve, reject) => {
+            getConnection(device)
+                .then(conn => {
+                    return conn.pause();
+                })
+                .then(pause => {
+                    resolve(pause);
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
+    resume: (device) => {
+        return new Promise((resolve, reject) => {
+            getConnection(device)
+                .then(conn => {
+                    return conn.resume();
+                })
+                .then(resume => {
+                    resolve(resume);
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
+    gcode: (device, lines) => {
+        return new Promise((resolve, reject) => {
+            getConnection(device)
+                .then(conn => {
+                    return conn.gcode(lines);
+                })
+                .then(reply => {
+                    resolve(reply);
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
     status: (device) => {
         return new Promise((resolve, reject) => {
             getConnection(device)
@@ -0,0 +1,339 @@
+/**
+ * klipper driver using the moonraker http and websocket api. status is
+ * kept current through a printer.objects.subscribe websocket session.
+ */
+
+/** target <-> connection cache */
+const cache = {};
+const http = require('http');
+const WebSocket = require('ws');
+const FormData = require('form-data');
+
+/** printer objects mapped into device status */
+const OBJECTS = {
+    extruder: [ "temperature", "target" ],
+    heater_bed: [ "temperature", "target" ],
+    print_stats: [ "state", "filename", "message", "info" ],
+    virtual_sdcard: [ "progress" ]
+};
+
+/** klipper print_stats.state to grid:host state */
+const STATES = {
+    standby: "IDLE",
+    complete: "IDLE",
+    cancelled: "IDLE",
+    error: "IDLE",
+    printing: "PRINTING",
+    paused: "PAUSED"
+};
+
+class Connection {
+    constructor(device) {
+        this.device = device;
+        this.host = device.host;
+        this.port = device.port || 7125;
+        this.socket = null;
+        this.rpcid = 1;
+        this.calls = {};
+        this.objects = {};
+        this.interval = null;
+        this.console = null;    // gcode responses collected for a script call
+        this.status = { state: "offline" };
+    }
+
+    headers() {
+        return this.device.apikey ? { "X-Api-Key": this.device.apikey } : {};
+    }
+
+    connect() {
+        if (this.socket) {
+            return;
+        }
+        const socket = this.socket = new WebSocket(`ws://${this.host}:${this.port}/websocket`, {
+            headers: this.headers()
+        });
+        socket
+            .on("open", () => {
+                this.subscribe();
+            })
+            .on("message", message => {
+                let msg;
+                try {
+                    msg = JSON.parse(message);
+                } catch (error) {
+                    driver.api.Util.log({name: this.device.name, bad_message: message.toString().substring(0, 80)});
+                    return;
+                }
+                this.onMessage(msg);
+            })
+            .on("error", error => {
+                socket._error = error;
+            })
+            .on("close", () => {
+                if (socket._ready) {
+                    driver.api.Util.log({disconnected: this.device.name});
+                }
+                for (let id in this.calls) {
+                    this.calls[id].reject("disconnected");
+                }
+                this.calls = {};
+                this.socket = null;
+                this.objects = {};
+                this.status = { state: "offline" };
+            });
+        if (!this.interval) {
+            this.interval = setInterval(() => {
+                if (!this.socket) {
+                    this.connect();
+                }
+            }, 2000);
+        }
+    }
+
+    /** json-rpc call over the websocket */
+    call(method, params) {
+        return new Promise((resolve, reject) => {
+            const socket = this.socket;
+            if (!socket || socket.readyState !== WebSocket.OPEN) {
+                reject("not connected");
+                return;
+            }
+            const id = this.rpcid++;
+            this.calls[id] = { resolve, reject };
+            socket.send(JSON.stringify({ jsonrpc: "2.0", method, params, id }));
+        });
+    }
+
+    subscribe() {
+        this.call("printer.objects.subscribe", { objects: OBJECTS })
+            .then(result => {
+                if (!this.socket._ready) {
+                    this.socket._ready = true;
+                    driver.api.Util.log({connected: this.device.name});
+                }
+                this.objects = {};
+                this.update(result.status);
+            })
+            .catch(error => {
+                // klippy not ready. wait for notify_klippy_ready
+                this.status = { state: "offline" };
+            });
+    }
+
+    onMessage(msg) {
+        if (msg.id && this.calls[msg.id]) {
+            const call = this.calls[msg.id];
+            delete this.calls[msg.id];
+            if (msg.error) {
+                call.reject(msg.error.message || msg.error);
+            } else {
+                call.resolve(msg.result);
+            }
+            return;
+        }
+        switch (msg.method) {
+            case "notify_status_update":
+                this.update(msg.params[0]);
+                break;
+            case "notify_gcode_response":
+                if (this.console) {
+                    this.console.push(msg.params[0]);
+                }
+                break;
+            case "notify_klippy_ready":
+                this.subscribe();
+                break;
+            case "notify_klippy_shutdown":
+            case "notify_klippy_disconnected":
+                this.objects = {};
+                this.status = { state: "offline" };
+                break;
+        }
+    }
+
+    /** merge partial object updates and rebuild device status */
+    update(objects) {
+        for (let key in objects) {
+            this.objects[key] = Object.assign(this.objects[key] || {}, objects[key]);
+        }
+        const obj = this.objects;
+        const extruder = obj.extruder || {};
+        const bed = obj.heater_bed || {};
+        const stats = obj.print_stats || {};
+        const sdcard = obj.virtual_sdcard || {};
+        this.status = {
+            state: STATES[stats.state] || "IDLE",
+            printing: stats.state === "printing",
+            progress: ((sdcard.progress || 0) * 100).toFixed(1),
+            filename: stats.filename || '',
+            message: stats.message || '',
+            layer: stats.info ? stats.info.current_layer : null,
+            temps: {
+                T0: [ extruder.temperature, extruder.target ],
+                B:  [ bed.temperature, bed.target ]
+            }
+        };
+    }
+
+    /** http request to moonraker. resolves with the json result */
+    request(method, path) {
+        return new Promise((resolve, reject) => {
+            http.request({
+                host: this.host,
+                port: this.port,
+                method,
+                path,
+                headers: this.headers()
+            }, res => {
+                let body = '';
+                res.on('data', data => {
+                    body += data.toString();
+                });
+                res.on('end', () => {
+                    if (res.statusCode !== 200) {
+                        reject({code: res.statusCode, error: body});
+                    } else {
+                        try {
+                            resolve(JSON.parse(body).result);
+                        } catch (error) {
+                            reject({code: res.statusCode, error: "invalid reply"});
+                        }
+                    }
+                });
+            })
+                .on('error', error => {
+                    reject(error.code || error);
+                })
+                .end();
+        });
+    }
+
+    print(entry) {
+        return new Promise((resolve, reject) => {
+            let name = entry.name;
+            if (name.indexOf(".gcode") < 0) {
+                name = name + ".gcode";
+            }
+            const form = new FormData();
+            form.append("file", Buffer.from(entry.data), { filename: name });
+            form.append("print", "true");
+            form.submit({
+                host: this.host,
+                port: this.port,
+                path: "/server/files/upload",
+                headers: this.headers()
+            }, (error, res) => {
+                if (error) {
+                    reject(error.code || error);
+                    return;
+                }
+                let body = '';
+                res.on('data', data => {
+                    body += data.toString();
+                });
+                res.on('end', () => {
+                    if (res.statusCode === 200 || res.statusCode === 201) {
+                        resolve({printing: name});
+                    } else {
+                        reject({code: res.statusCode, error: body});
+                    }
+                });
+            });
+        });
+    }
+
+    cancel() {
+        return this.request("POST", "/printer/print/cancel");
+    }
+
+    pause() {
+        return this.request("POST", "/printer/print/pause");
+    }
+
+    resume() {
+        return this.request("POST", "/printer/print/resume");
+    }
+
+    /** run lines as a gcode script, returning responses seen meanwhile */
+    gcode(lines) {
+        const out = this.console = [];
+        const script = encodeURIComponent(lines.join("\n"));
+        const done = () => {
+            if (this.console === out) {
+                this.console = null;
+            }
+        };
+        return this.request("POST", `/printer/gcode/script?script=${script}`)
+            .then(result => {
+                done();
+                return out.concat([ result ]);
+            })
+            .catch(error => {
+                done();
+                throw error;
+            });
+    }
+}
+
+function getConnection(device) {
+    let conn = cache[device.name];
+    if (!conn) {
+        conn = cache[device.name] = new Connection(device);
+        conn.connect();
+    }
+    return conn;
+}
+
+/** run an action that requires klipper to be up */
+function action(device, fn) {
+    return new Promise((resolve, reject) => {
+        let conn = getConnection(device);
+        if (conn.status.state === "offline") {
+            reject("not connected");
+            return;
+        }
+        fn(conn)
+            .then(result => {
+                resolve(result);
+            })
+            .catch(error => {
+                reject(error);
+            });
+    });
+}
+
+const driver = {
+    name: "moonraker",
+
+    init: (api) => {
+        driver.api = api;
+    },
+
+    send: (device, entry) => {
+        return action(device, conn => conn.print(entry));
+    },
+
+    cancel: (device) => {
+        return action(device, conn => conn.cancel());
+    },
+
+    pause: (device) => {
+        return action(device, conn => conn.pause());
+    },
+
+    resume: (device) => {
+        return action(device, conn => conn.resume());
+    },
+
+    gcode: (device, lines) => {
+        return action(device, conn => conn.gcode(lines));
+    },
+
+    status: (device) => {
+        return new Promise((resolve, reject) => {
+            resolve(getConnection(device).status);
+        });
+    }
+};
+
+module.exports = driver;
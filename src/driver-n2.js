@@ -22,6 +22,7 @@ function getMonitor(device) {
                 if (data.status) {
                     let stat = data.status;
                     info.progress = stat.progress.toFixed(2);
+                    info.layer = stat.layer[0];
                     info.temps = {
                         T0: stat.n0,
                         T1: stat.n1,
@@ -89,6 +90,49 @@ const driver = {
         });
     },
 
+    pause: (device) => {
+        return new Promise((resolve, reject) => {
+            getMonitor(device)
+                .then((monitor) => {
+                    monitor.pause(monitor.filename);
+                    resolve({pause:true});
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
+    resume: (device) => {
+        return new Promise((resolve, reject) => {
+            getMonitor(device)
+                .then((monitor) => {
+                    monitor.resume(monitor.filename);
+                    resolve({resume:true});
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
+    gcode: (device, lines) => {
+        return new Promise((resolve, reject) => {
+            getMonitor(device)
+                .then((monitor) => {
+                    if (!monitor.connected) {
+                        reject("no connection");
+                        return;
+                    }
+                    lines.forEach(line => monitor.gcode(line));
+                    resolve(lines.map(line => `sent ${line}`));
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    },
+
     status: (device) => {
         return new Promise((resolve, reject) => {
             getMonitor(device)
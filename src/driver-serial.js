@@ -0,0 +1,397 @@
+/**
+ * marlin serial driver. streams gcode line by line over a usb serial
+ * port using line numbers, checksums and ok/resend flow control.
+ */
+
+/** target <-> connection cache */
+const cache = {};
+const SerialPort = require('serialport');
+const lbuff = require("./linebuffer");
+
+/** gcode sent to park heaters and motors after a cancel */
+const CANCEL = [ "M104 S0", "M140 S0", "M107", "M84" ];
+
+function checksum(line) {
+    let cs = 0;
+    for (let i = 0; i < line.length; i++) {
+        cs ^= line.charCodeAt(i);
+    }
+    return cs & 0xff;
+}
+
+/** strip comments and blank lines from gcode */
+function gcodeLines(data) {
+    return data.toString()
+        .split("\n")
+        .map(line => {
+            let cpos = line.indexOf(';');
+            return (cpos >= 0 ? line.substring(0, cpos) : line).trim();
+        })
+        .filter(line => line.length > 0);
+}
+
+/** parse M105 or auto-report temps ("T:200.1 /200.0 B:60.0 /60.0 T0:...") */
+function parseTemps(line) {
+    let temps = null;
+    let match;
+    let regex = /(T\d?|B):\s*(-?[\d.]+)\s*\/\s*(-?[\d.]+)/g;
+    while (match = regex.exec(line)) {
+        let key = match[1] === 'T' ? 'T0' : match[1];
+        temps = temps || {};
+        if (match[1] === 'T' && temps.T0) {
+            continue;
+        }
+        temps[key] = [ parseFloat(match[2]), parseFloat(match[3]) ];
+    }
+    return temps;
+}
+
+class Connection {
+    constructor(device) {
+        this.device = device;
+        this.path = device.port || "/dev/ttyUSB0";
+        this.baud = parseInt(device.baud || 250000);
+        this.port = null;
+        this.ready = false;
+        this.inflight = null;   // line awaiting "ok"
+        this.commands = [];     // out of band commands (M105, M27, etc) or gcode calls
+        this.lines = [];        // numbered job lines. index == line number
+        this.index = 0;         // next job line to send
+        this.job = null;        // name of streaming job
+        this.paused = false;    // job streaming suspended ("sd" for sd prints)
+        this.sdprint = false;   // device reports printing from sd card
+        this.interval = null;
+        this.status = { state: "offline" };
+    }
+
+    log(obj) {
+        driver.api.Util.log(Object.assign({serial: this.device.name}, obj));
+    }
+
+    open() {
+        if (this.port) {
+            return;
+        }
+        const port = this.port = new SerialPort(this.path, {
+            baudRate: this.baud,
+            autoOpen: false
+        });
+        port.lineBuffer = new lbuff(port);
+        port
+            .on("open", () => {
+                this.log({connected: this.path, baud: this.baud});
+                // marlin resets when the port opens. give it time to boot
+                setTimeout(() => {
+                    this.onReady();
+                }, 2000);
+            })
+            .on("line", line => {
+                this.onLine(line.toString().trim());
+            })
+            .on("error", error => {
+                this.log({error: error.message || error});
+            })
+            .on("close", () => {
+                if (this.ready) {
+                    this.log({disconnected: this.path});
+                }
+                if (this.job) {
+                    this.log({job_lost: this.job, line: this.index, of: this.lines.length});
+                }
+                this.reset();
+                this.port = null;
+            });
+        port.open(error => {
+            if (error) {
+                this.port = null;
+            }
+        });
+        if (!this.interval) {
+            this.interval = setInterval(() => {
+                this.poll();
+            }, 2000);
+        }
+    }
+
+    reset() {
+        // fail gcode calls that will never see their "ok"
+        [ this.inflight ].concat(this.commands).forEach(cmd => {
+            if (cmd && cmd.reject) {
+                cmd.reject("disconnected");
+            }
+        });
+        this.ready = false;
+        this.inflight = null;
+        this.commands = [];
+        this.lines = [];
+        this.index = 0;
+        this.job = null;
+        this.paused = false;
+        this.sdprint = false;
+        this.status = { state: "offline" };
+    }
+
+    onReady() {
+        if (!this.port || this.ready) {
+            return;
+        }
+        this.ready = true;
+        this.status = { state: "IDLE", progress: 0 };
+        this.pump();
+    }
+
+    /** queue status queries and reconnect when the port went away */
+    poll() {
+        if (!this.port) {
+            return this.open();
+        }
+        if (!this.ready) {
+            return;
+        }
+        if (this.commands.indexOf("M105") < 0) {
+            this.commands.push("M105");
+        }
+        if (!this.job && this.commands.indexOf("M27") < 0) {
+            this.commands.push("M27");
+        }
+        this.pump();
+    }
+
+    onLine(line) {
+        if (line.length === 0) {
+            return;
+        }
+        let temps = parseTemps(line);
+        if (temps) {
+            this.status.temps = Object.assign(this.status.temps || {}, temps);
+        }
+        if (line.indexOf("start") === 0) {
+            // firmware restarted underneath us
+            this.reset();
+            this.onReady();
+            return;
+        }
+        const call = this.inflight && this.inflight.reply ? this.inflight : null;
+        if (call) {
+            call.reply.push(line);
+        }
+        if (line.indexOf("ok") === 0) {
+            if (call && call.resolve) {
+                call.resolve(call.reply);
+            }
+            this.inflight = null;
+            this.pump();
+        } else if (line.indexOf("Resend:") === 0 || line.indexOf("rs ") === 0) {
+            let lineno = parseInt(line.replace(/^(Resend:|rs)\s*N?/,''));
+            if (this.job && lineno >= 0 && lineno < this.lines.length) {
+                this.log({resend: lineno, from: this.index});
+                this.index = lineno;
+            }
+        } else if (line.indexOf("SD printing byte") === 0) {
+            let pct = line.split(' ').pop().split('/').map(v => parseFloat(v));
+            this.sdprint = pct[0] < pct[1];
+            if (!this.job) {
+                this.status.progress = ((pct[0] / pct[1]) * 100).toFixed(1);
+            }
+        } else if (line.indexOf("Not SD printing") === 0) {
+            this.sdprint = false;
+        } else if (line.indexOf("Error:") === 0) {
+            this.log({device_error: line});
+        }
+        this.update();
+    }
+
+    update() {
+        const status = this.status;
+        if (!this.ready) {
+            return;
+        }
+        status.printing = this.job !== null || this.sdprint;
+        status.state = this.paused ? "PAUSED" : status.printing ? "PRINTING" : "IDLE";
+        if (this.job) {
+            status.filename = this.job;
+            status.progress = ((this.index / this.lines.length) * 100).toFixed(1);
+        }
+    }
+
+    /** write the next pending line when nothing is awaiting an ok */
+    pump() {
+        if (!this.port || !this.ready || this.inflight) {
+            return;
+        }
+        let line = null;
+        let call = null;
+        if (this.commands.length) {
+            call = this.commands.shift();
+            line = call.line || call;
+        } else if (this.job && this.paused) {
+            return;
+        } else if (this.job && this.index < this.lines.length) {
+            let cmd = `N${this.index} ${this.lines[this.index++]}`;
+            line = `${cmd}*${checksum(cmd)}`;
+        } else if (this.job) {
+            this.log({job_done: this.job, lines: this.lines.length});
+            this.job = null;
+            this.lines = [];
+            this.index = 0;
+            this.status.progress = 100;
+            this.update();
+            return;
+        }
+        if (line) {
+            this.inflight = call || line;
+            this.port.write(line + "\n");
+        }
+    }
+
+    print(entry) {
+        return new Promise((resolve, reject) => {
+            if (!this.ready) {
+                reject("not connected");
+                return;
+            }
+            if (this.job || this.sdprint) {
+                reject("device busy");
+                return;
+            }
+            let lines = gcodeLines(entry.data);
+            this.lines = [ "M110 N0" ].concat(lines);
+            this.index = 0;
+            this.job = entry.name;
+            this.update();
+            this.pump();
+            resolve({printing: entry.name, lines: lines.length});
+        });
+    }
+
+    cancel() {
+        if (this.job) {
+            this.log({job_cancel: this.job, line: this.index, of: this.lines.length});
+        }
+        this.job = null;
+        this.paused = false;
+        this.lines = [];
+        this.index = 0;
+        this.commands = this.commands.concat(this.sdprint ? [ "M524" ] : [], CANCEL);
+        this.update();
+        this.pump();
+        return "cancelled";
+    }
+
+    /**
+     * queue gcode lines ahead of any job, resolving with the device's
+     * replies once the last line is acknowledged. M112 skips the queue.
+     */
+    gcode(lines) {
+        return new Promise((resolve, reject) => {
+            if (lines.some(line => /^M112\b/i.test(line))) {
+                this.port.write("M112\n");
+                this.log({emergency_stop: this.path});
+                resolve([ "M112 sent" ]);
+                return;
+            }
+            const reply = [];
+            lines.forEach((line, i) => {
+                const last = i === lines.length - 1;
+                this.commands.push({ line, reply, resolve: last ? resolve : null, reject });
+            });
+            this.pump();
+        });
+    }
+
+    /** stop streaming job lines. sd card prints are paused with M25 */
+    pause() {
+        if (!this.job && this.sdprint) {
+            this.commands.push("M25");
+            this.paused = "sd";
+        } else {
+            this.paused = true;
+        }
+        this.update();
+        this.pump();
+        return "paused";
+    }
+
+    resume() {
+        if (this.paused === "sd") {
+            this.commands.push("M24");
+        }
+        this.paused = false;
+        this.update();
+        this.pump();
+        return "resumed";
+    }
+}
+
+function getConnection(device) {
+    let conn = cache[device.name];
+    if (!conn) {
+        conn = cache[device.name] = new Connection(device);
+        conn.open();
+    }
+    return conn;
+}
+
+const driver = {
+    name: "serial",
+
+    init: (api) => {
+        driver.api = api;
+    },
+
+    send: (device, entry) => {
+        return getConnection(device).print(entry);
+    },
+
+    cancel: (device) => {
+        return new Promise((resolve, reject) => {
+            let conn = getConnection(device);
+            if (conn.ready) {
+                resolve(conn.cancel());
+            } else {
+                reject("not connected");
+            }
+        });
+    },
+
+    pause: (device) => {
+        return new Promise((resolve, reject) => {
+            let conn = getConnection(device);
+            if (conn.ready) {
+                resolve(conn.pause());
+            } else {
+                reject("not connected");
+            }
+        });
+    },
+
+    resume: (device) => {
+        return new Promise((resolve, reject) => {
+            let conn = getConnection(device);
+            if (conn.ready) {
+                resolve(conn.resume());
+            } else {
+                reject("not connected");
+            }
+        });
+    },
+
+    gcode: (device, lines) => {
+        return new Promise((resolve, reject) => {
+            let conn = getConnection(device);
+            if (conn.ready) {
+                conn.gcode(lines).then(resolve).catch(reject);
+            } else {
+                reject("not connected");
+            }
+        });
+    },
+
+    status: (device) => {
+        return new Promise((resolve, reject) => {
+            resolve(getConnection(device).status);
+        });
+    }
+};
+
+module.exports = driver;
@@ -0,0 +1,132 @@
+/**
+ * append-only job history. one json record per line so the file can be
+ * tailed, rotated or imported elsewhere without rewriting it.
+ */
+
+const fs = require('fs');
+
+/** parse a date filter given as ms since epoch or a date string */
+function parseTime(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value) || null;
+}
+
+class History {
+    constructor(file) {
+        this.file = file;
+        this.records = [];
+        this.load();
+    }
+
+    load() {
+        this.records = [];
+        let text = '';
+        try {
+            text = fs.readFileSync(this.file).toString();
+        } catch (e) {
+            return this;
+        }
+        text.split("\n").forEach(line => {
+            try {
+                if (line.length) {
+                    this.records.push(JSON.parse(line));
+                }
+            } catch (e) {
+                // skip a line truncated by a crash mid-write
+            }
+        });
+        return this;
+    }
+
+    add(record) {
+        fs.appendFileSync(this.file, JSON.stringify(record) + "\n");
+        this.records.push(record);
+        return record;
+    }
+
+    /**
+     * records matching all given filters, newest first. filters are
+     * target, user, status ("done", "error", "cancelled", "failed") and
+     * from and to (ms or date)
+     */
+    query(filter) {
+        filter = filter || {};
+        const from = parseTime(filter.from);
+        const to = parseTime(filter.to);
+        return this.records.filter(rec => {
+            return (!filter.target || rec.target === filter.target || rec.pool === filter.target)
+                && (!filter.user || rec.user === filter.user)
+                && (!filter.status || rec.result === filter.status)
+                && (!from || rec.time.done >= from)
+                && (!to || rec.time.done <= to);
+        }).reverse();
+    }
+
+    /** totals overall and per target for a set of records */
+    stats(records) {
+        const total = () => {
+            return { jobs: 0, done: 0, failed: 0, failure_rate: 0, filament: 0, print_time: 0, bytes: 0 };
+        };
+        const sum = (agg, rec) => {
+            agg.jobs++;
+            if (rec.result === 'done') {
+                agg.done++;
+                agg.filament += rec.fused || 0;
+                agg.print_time += rec.print_time || rec.estime || 0;
+            } else {
+                agg.failed++;
+            }
+            agg.bytes += rec.size || 0;
+            agg.failure_rate = Math.round((agg.failed / agg.jobs) * 1000) / 1000;
+        };
+        const stats = { all: total(), targets: {}, users: {} };
+        records.forEach(rec => {
+            const user = rec.user || 'anonymous';
+            sum(stats.all, rec);
+            sum(stats.targets[rec.target] = stats.targets[rec.target] || total(), rec);
+            sum(stats.users[user] = stats.users[user] || total(), rec);
+        });
+        return stats;
+    }
+}
+
+module.exports = History;
+
+if (!module.parent) {
+    const arg = process.argv.slice(2);
+    const cmd = arg.shift();
+    const history = new History(process.env.HISTORY || "etc/history.jsonl");
+    const filter = {};
+
+    arg.forEach(kv => {
+        kv = kv.split('=');
+        filter[kv[0]] = kv[1];
+    });
+
+    switch (cmd) {
+        case 'list':
+            history.query(filter).forEach(rec => {
+                console.log([
+                    new Date(rec.time.done).toISOString(),
+                    rec.target,
+                    rec.user || '-',
+                    rec.result,
+                    rec.name
+                ].join("  "));
+            });
+            break;
+        case 'stats':
+            console.log(JSON.stringify(history.stats(history.query(filter)), null, 4));
+            break;
+        default:
+            console.log([
+                "invalid command: " + cmd,
+                "usage (set HISTORY to use a file other than etc/history.jsonl):",
+                "  list  [target=] [user=] [status=] [from=] [to=]",
+                "  stats [target=] [user=] [status=] [from=] [to=]"
+            ].join("\n"));
+            break;
+    }
+}
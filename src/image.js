@@ -1,81 +1,375 @@
+/**
+ * thumbnail conversion. images decode to { width, height, data } rgba
+ * bitmaps that are scaled to cover the requested size and encoded as png,
+ * jpg, qoi or the bmp shown on gx printer screens. gcode carries slicer
+ * thumbnails as base64 comment blocks which can be extracted and replaced.
+ */
+
 const BMP   = require('bmp-js');
 const PNG   = require('pngjs').PNG;
+const JPEG  = require('jpeg-js');
+
+/** default size by format when a target gives none */
+const SIZES = {
+    bmp: [ 80, 60 ],
+    png: [ 300, 300 ],
+    jpg: [ 320, 240 ],
+    qoi: [ 300, 300 ]
+};
 
-PNG.prototype.pixAt = function(x,y) {
-    let idx = (x + this.width * y) * 4;
-    let dat = this.data;
-    return [
-        dat[idx++],
-        dat[idx++],
-        dat[idx++],
-        dat[idx++]
-    ];
+/** formats that can be embedded in gcode and their block names */
+const BLOCKS = {
+    png: "thumbnail",
+    jpg: "thumbnail_JPG",
+    qoi: "thumbnail_QOI"
 };
 
-PNG.prototype.averageBlock = function(x1,y1,x2,y2) {
-    let val = [0, 0, 0, 0];
+/** largest image decoded. headers come from uploads and set the allocation */
+const MAX_SIDE = 4096;
+
+/** gcode bytes searched for thumbnail blocks. slicers write them first */
+const HEAD = 2 * 1024 * 1024;
+
+const BLOCK_BEGIN = /^;\s*thumbnail(?:_(\w+))?\s+begin\s+(\d+)x(\d+)\s+(\d+)/i;
+const BLOCK_END = /^;\s*thumbnail(?:_\w+)?\s+end/i;
+
+/** wrap a value into a signed byte, for qoi channel differences */
+function wrap(v) {
+    return ((v & 0xff) ^ 0x80) - 0x80;
+}
+
+function qoiHash(r, g, b, a) {
+    return ((r * 3 + g * 5 + b * 7 + a * 11) % 64) * 4;
+}
+
+function qoiEncode(img) {
+    const { width, height, data } = img;
+    const out = Buffer.alloc(14 + width * height * 5 + 8);
+    const index = new Uint8Array(64 * 4);
+    const last = data.length - 4;
+    let p = 14, run = 0;
+    let pr = 0, pg = 0, pb = 0, pa = 255;
+    out.write("qoif", 0);
+    out.writeUInt32BE(width, 4);
+    out.writeUInt32BE(height, 8);
+    out[12] = 4;    // rgba
+    out[13] = 0;    // srgb
+    for (let i = 0; i < data.length; i += 4) {
+        const r = data[i], g = data[i + 1], b = data[i + 2], a = data[i + 3];
+        if (r === pr && g === pg && b === pb && a === pa) {
+            run++;
+            if (run === 62 || i === last) {
+                out[p++] = 0xc0 | (run - 1);
+                run = 0;
+            }
+            continue;
+        }
+        if (run > 0) {
+            out[p++] = 0xc0 | (run - 1);
+            run = 0;
+        }
+        const h = qoiHash(r, g, b, a);
+        if (index[h] === r && index[h + 1] === g && index[h + 2] === b && index[h + 3] === a) {
+            out[p++] = h / 4;
+        } else {
+            index[h] = r;
+            index[h + 1] = g;
+            index[h + 2] = b;
+            index[h + 3] = a;
+            const vr = wrap(r - pr), vg = wrap(g - pg), vb = wrap(b - pb);
+            const vgr = vr - vg, vgb = vb - vg;
+            if (a !== pa) {
+                out[p++] = 0xff;
+                out[p++] = r;
+                out[p++] = g;
+                out[p++] = b;
+                out[p++] = a;
+            } else if (vr > -3 && vr < 2 && vg > -3 && vg < 2 && vb > -3 && vb < 2) {
+                out[p++] = 0x40 | ((vr + 2) << 4) | ((vg + 2) << 2) | (vb + 2);
+            } else if (vgr > -9 && vgr < 8 && vg > -33 && vg < 32 && vgb > -9 && vgb < 8) {
+                out[p++] = 0x80 | (vg + 32);
+                out[p++] = ((vgr + 8) << 4) | (vgb + 8);
+            } else {
+                out[p++] = 0xfe;
+                out[p++] = r;
+                out[p++] = g;
+                out[p++] = b;
+            }
+        }
+        pr = r; pg = g; pb = b; pa = a;
+    }
+    out[p + 7] = 1;
+    return out.slice(0, p + 8);
+}
+
+/** throw before allocating a bitmap for an oversized or empty image */
+function checkSize(width, height) {
+    if (!(width > 0 && height > 0 && width <= MAX_SIDE && height <= MAX_SIDE)) {
+        throw `image size ${width}x${height} over ${MAX_SIDE}x${MAX_SIDE}`;
+    }
+}
+
+function qoiDecode(buf) {
+    const width = buf.readUInt32BE(4);
+    const height = buf.readUInt32BE(8);
+    checkSize(width, height);
+    const data = Buffer.alloc(width * height * 4);
+    const index = new Uint8Array(64 * 4);
+    let p = 14, run = 0;
+    let r = 0, g = 0, b = 0, a = 255;
+    for (let i = 0; i < data.length; i += 4) {
+        if (run > 0) {
+            run--;
+        } else {
+            const b1 = buf[p++];
+            if (b1 === 0xfe) {
+                r = buf[p++]; g = buf[p++]; b = buf[p++];
+            } else if (b1 === 0xff) {
+                r = buf[p++]; g = buf[p++]; b = buf[p++]; a = buf[p++];
+            } else {
+                switch (b1 & 0xc0) {
+                    case 0x00:
+                        r = index[b1 * 4]; g = index[b1 * 4 + 1]; b = index[b1 * 4 + 2]; a = index[b1 * 4 + 3];
+                        break;
+                    case 0x40:
+                        r = (r + ((b1 >> 4) & 3) - 2) & 0xff;
+                        g = (g + ((b1 >> 2) & 3) - 2) & 0xff;
+                        b = (b + (b1 & 3) - 2) & 0xff;
+                        break;
+                    case 0x80:
+                        const b2 = buf[p++];
+                        const vg = (b1 & 0x3f) - 32;
+                        r = (r + vg - 8 + ((b2 >> 4) & 0xf)) & 0xff;
+                        g = (g + vg) & 0xff;
+                        b = (b + vg - 8 + (b2 & 0xf)) & 0xff;
+                        break;
+                    case 0xc0:
+                        run = b1 & 0x3f;
+                        break;
+                }
+            }
+            const h = qoiHash(r, g, b, a);
+            index[h] = r; index[h + 1] = g; index[h + 2] = b; index[h + 3] = a;
+        }
+        data[i] = r; data[i + 1] = g; data[i + 2] = b; data[i + 3] = a;
+    }
+    return { width, height, data };
+}
+
+/** image buffer (png, jpg or qoi) to an rgba bitmap */
+function decode(buffer) {
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+        checkSize(buffer.readUInt32BE(16), buffer.readUInt32BE(20));
+        return PNG.sync.read(buffer);
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        return JPEG.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: MAX_SIDE * MAX_SIDE / 1e6,
+            maxMemoryUsageInMB: 256
+        });
+    }
+    if (buffer.toString('latin1', 0, 4) === "qoif") {
+        return qoiDecode(buffer);
+    }
+    throw "unsupported image format";
+}
+
+/** average rgba of a block, clipped to the image */
+function average(img, x1, y1, x2, y2) {
+    const val = [0, 0, 0, 0];
     let count = 0;
-    for (let x=x1; x<x2; x++) {
-        for (let y=y1; y<y2; y++) {
-            let v2 = this.pixAt(x,y);
-            for (let z=0; z<4; z++) {
-                val[z] += v2[z];
+    x1 = Math.max(0, x1);
+    y1 = Math.max(0, y1);
+    x2 = Math.min(img.width, Math.max(x2, x1 + 1));
+    y2 = Math.min(img.height, Math.max(y2, y1 + 1));
+    for (let y = y1; y < y2; y++) {
+        for (let x = x1; x < x2; x++) {
+            const idx = (x + img.width * y) * 4;
+            for (let z = 0; z < 4; z++) {
+                val[z] += img.data[idx + z];
             }
             count++;
         }
     }
-    for (let z=0; z<4; z++) {
-        val[z] = Math.abs(val[z] / count);
+    return val.map(v => count ? Math.round(v / count) : 0);
+}
+
+/**
+ * scale a bitmap to cover width x height, cropping the overflow evenly.
+ * "shade" darkens near-gray pixels so a plain gray model stands out on
+ * the small gx screen
+ */
+function scale(img, width, height, shade) {
+    const div = img.width / img.height > width / height ? img.height / height : img.width / width;
+    const xoff = Math.round((img.width - width * div) / 2);
+    const yoff = Math.round((img.height - height * div) / 2);
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const dy = Math.round(y * div + yoff);
+        const ey = Math.round((y + 1) * div + yoff);
+        for (let x = 0; x < width; x++) {
+            const dx = Math.round(x * div + xoff);
+            const ex = Math.round((x + 1) * div + xoff);
+            const pix = average(img, dx, dy, ex, ey);
+            if (shade && Math.abs(pix[0] - pix[1]) + Math.abs(pix[2] - pix[1]) < 5) {
+                for (let z = 0; z < 4; z++) {
+                    pix[z] = Math.round(pix[z] * 0.8);
+                }
+            }
+            pix.forEach((v, z) => data[(y * width + x) * 4 + z] = v);
+        }
+    }
+    return { width, height, data };
+}
+
+/** blend transparent pixels onto a background color for opaque formats */
+function flatten(img, background) {
+    const bg = background || [ 255, 255, 255 ];
+    const data = Buffer.from(img.data);
+    for (let i = 0; i < data.length; i += 4) {
+        const a = data[i + 3] / 255;
+        for (let z = 0; z < 3; z++) {
+            data[i + z] = Math.round(data[i + z] * a + bg[z] * (1 - a));
+        }
+        data[i + 3] = 255;
     }
-    return val;
-};
+    return { width: img.width, height: img.height, data };
+}
+
+/** rgba bitmap to an image buffer */
+function encode(img, format, opt) {
+    opt = opt || {};
+    switch (format) {
+        case "png":
+            return PNG.sync.write(img);
+        case "jpg":
+            return JPEG.encode(flatten(img, opt.background), opt.quality || 85).data;
+        case "qoi":
+            return qoiEncode(img);
+        case "bmp":
+            return BMP.encode(img).data;
+        default:
+            throw `unsupported thumbnail format ${format}`;
+    }
+}
+
+/** [ width, height ] for a format from a target's "thumbnails" list */
+function sizeOf(thumbnails, format) {
+    const spec = (thumbnails || []).filter(spec => spec.format === format)[0];
+    return spec && spec.size ? spec.size : SIZES[format];
+}
+
+/** convert an image to a thumbnail spec { format, size: [ w, h ], quality, background } */
+function thumbnail(buffer, spec) {
+    return new Promise((resolve, reject) => {
+        try {
+            const size = spec.size || SIZES[spec.format];
+            const img = scale(decode(buffer), size[0], size[1], spec.format === "bmp");
+            resolve(encode(img, spec.format, spec));
+        } catch (error) {
+            reject(error.message || error);
+        }
+    });
+}
 
+/** gx printer thumbnail. resolves with the encoded bmp ({ data, width, height }) */
 function png2bmp(buffer, width, height) {
     return new Promise((resolve, reject) => {
-        let png = new PNG().parse(buffer, (err, data) => {
-            let th = width || 80;
-            let tw = height || 60;
-            let ratio = png.width / png.height;
-            let div;
-            let xoff;
-            let yoff;
-            if (ratio > 4/3) {
-                div = png.height / tw;
-                xoff = Math.round((png.width - (th * div)) / 2);
-                yoff = 0;
-            } else {
-                div = png.width / th;
-                xoff = 0;
-                yoff = Math.round((png.height - (tw * div)) / 2);
-            }
-            let buf = Buffer.alloc(th * tw * 4);
-            for (let y=0; y<tw; y++) {
-                let dy = Math.round(y * div + yoff);
-                if (dy < 0 || dy > png.height) continue;
-                let ey = Math.round((y+1) * div + yoff);
-                for (let x=0; x<th; x++) {
-                    let dx = Math.round(x * div + xoff);
-                    if (dx < 0 || dx > png.width) continue;
-                    let ex = Math.round((x+1) * div + xoff);
-                    let bidx = (y * th + x) * 4;
-                    let pixval = png.averageBlock(dx,dy,ex,ey);
-                    if (Math.abs(pixval[0] - pixval[1]) + Math.abs(pixval[2] - pixval[1]) < 5) {
-                        pixval[0] = Math.round(pixval[0] * 0.8);
-                        pixval[1] = Math.round(pixval[1] * 0.8);
-                        pixval[2] = Math.round(pixval[2] * 0.8);
-                        pixval[3] = Math.round(pixval[3] * 0.8);
-                    }
-                    buf[bidx+0] = pixval[0];
-                    buf[bidx+1] = pixval[1];
-                    buf[bidx+2] = pixval[2];
-                    buf[bidx+3] = pixval[3];
-                }
+        try {
+            const img = scale(decode(buffer), width || SIZES.bmp[0], height || SIZES.bmp[1], true);
+            resolve(BMP.encode(img));
+        } catch (error) {
+            reject(error.message || error);
+        }
+    });
+}
+
+/** leading lines of gcode where thumbnails live, and the remainder */
+function head(gcode) {
+    if (gcode.length <= HEAD) {
+        return [ gcode.toString(), Buffer.alloc(0) ];
+    }
+    const end = gcode.lastIndexOf(10, HEAD) + 1;
+    return [ gcode.slice(0, end).toString(), gcode.slice(end) ];
+}
+
+/** thumbnails embedded in gcode as [ { format, width, height, data } ] */
+function extract(gcode) {
+    const found = [];
+    let block = null;
+    head(gcode)[0].split("\n").forEach(line => {
+        line = line.trim();
+        const begin = line.match(BLOCK_BEGIN);
+        if (begin) {
+            block = {
+                format: (begin[1] || "png").toLowerCase(),
+                width: parseInt(begin[2]),
+                height: parseInt(begin[3]),
+                text: []
+            };
+        } else if (block && BLOCK_END.test(line)) {
+            found.push({
+                format: block.format,
+                width: block.width,
+                height: block.height,
+                data: Buffer.from(block.text.join(''), 'base64')
+            });
+            block = null;
+        } else if (block) {
+            block.text.push(line.replace(/^;\s*/, ''));
+        }
+    });
+    return found;
+}
+
+/** replace gcode's thumbnail blocks with thumbnails ({ format, width, height, data }) */
+function embed(gcode, thumbs) {
+    const [ text, rest ] = head(gcode);
+    const kept = [];
+    let skip = false;
+    let after = false;
+    // drop old blocks with the bare ";" lines slicers put around them
+    text.split("\n").forEach((line, i, lines) => {
+        const trim = line.trim();
+        const spacer = after && trim === ";";
+        after = false;
+        if (BLOCK_BEGIN.test(trim)) {
+            skip = true;
+            if (kept[kept.length - 1] === ";") {
+                kept.pop();
             }
-            resolve(BMP.encode({data:buf, width:th, height:tw}));
-        });
+        } else if (skip && BLOCK_END.test(trim)) {
+            skip = false;
+            after = true;
+        } else if (!skip && !spacer && (line.length || i < lines.length - 1)) {
+            kept.push(line);
+        }
+    });
+    const blocks = [];
+    thumbs.forEach(thumb => {
+        const name = BLOCKS[thumb.format];
+        const data = thumb.data.toString('base64');
+        blocks.push(";", `; ${name} begin ${thumb.width}x${thumb.height} ${data.length}`);
+        for (let i = 0; i < data.length; i += 78) {
+            blocks.push(`; ${data.substring(i, i + 78)}`);
+        }
+        blocks.push(`; ${name} end`, ";");
     });
+    const out = blocks.concat(kept).join("\n") + (text.endsWith("\n") ? "\n" : "");
+    return Buffer.concat([ Buffer.from(out), rest ]);
 }
 
 module.exports = {
-    png2bmp: png2bmp
+    SIZES,
+    BLOCKS,
+    decode,
+    encode,
+    scale,
+    sizeOf,
+    thumbnail,
+    extract,
+    embed,
+    png2bmp
 };
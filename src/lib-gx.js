@@ -461,6 +461,30 @@ class FFControl {
         });
     }
 
+    pause() {
+        return new Promise((resolve, reject) => {
+            this.send(COMMAND.Pause)
+                .then(lines => {
+                    resolve(lines);
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    }
+
+    resume() {
+        return new Promise((resolve, reject) => {
+            this.send(COMMAND.Resume)
+                .then(lines => {
+                    resolve(lines);
+                })
+                .catch(error => {
+                    reject(error);
+                });
+        });
+    }
+
     print(filename, gcode, bmp, time, filament) {
         // .gx extension required to render screenshot
         if (filename.indexOf(".gx") < 0) {
@@ -728,17 +728,39 @@ class N2Monitor {
         // dump(packet.buf);
     }
 
-    cancel(filename) {
+    /** 0x08 print control packet. 2 = pause, 3 = resume, 4 = cancel */
+    control(code, filename) {
         var packet = new Packet()
             .setCommand(0x8)
             .setHeader(1,0,0,0,1)
-            .writeByte(4)
-            .writeString(filename)
+            .writeByte(code)
+            .writeString(filename || '')
             .update();
         this.socket.write(packet.buf);
-        // console.log({send_cancel: packet});
         // dump(packet.buf);
     }
+
+    /** 0x03 gcode command packet. the printer does not reply */
+    gcode(line) {
+        var packet = new Packet()
+            .setCommand(0x3)
+            .setHeader(0,0,0,0,1)
+            .writeString(line + "\n")
+            .update();
+        this.socket.write(packet.buf);
+    }
+
+    cancel(filename) {
+        this.control(4, filename);
+    }
+
+    pause(filename) {
+        this.control(2, filename);
+    }
+
+    resume(filename) {
+        this.control(3, filename);
+    }
 }
 
 module.exports = {
@@ -33,24 +33,23 @@ class LineBuffer {
     }
 
     nextLine() {
-        if (!this.enabled) {
-            return;
-        }
-        let left = 0;
         const data = this.buffer;
-        const cr = data.indexOf("\r");
-        const lf = data.indexOf("\n");
-        if (lf && cr + 1 == lf) { left = 1 }
-        if (lf >= 0) {
-            let slice = data.slice(0, lf - left);
+        let start = 0;
+        let lf;
+        // a loop, not recursion: a chunk can hold tens of thousands of lines
+        while (this.enabled && (lf = data.indexOf(10, start)) >= 0) {
+            const end = lf > start && data[lf - 1] === 13 ? lf - 1 : lf;
+            const slice = data.slice(start, end);
+            const length = lf + 1 - start;
+            start = lf + 1;
             if (this.online) {
-                this.online(slice);
+                // second argument is the bytes consumed including the line end
+                this.online(slice, length);
             } else {
                 this.stream.emit("line", slice);
             }
-            this.buffer = data.slice(lf + 1);
-            this.nextLine();
         }
+        this.buffer = data.slice(start);
     }
 
 }
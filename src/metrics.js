@@ -0,0 +1,120 @@
+/**
+ * prometheus text exposition. metric families hold samples keyed by
+ * their label set. gauges are usually cleared and refilled per scrape.
+ */
+
+/** default histogram buckets in seconds */
+const BUCKETS = [ 0.1, 0.5, 1, 2, 5, 10, 30, 60, 120, 300 ];
+
+function escape(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+    const keys = Object.keys(labels || {});
+    if (keys.length === 0) {
+        return '';
+    }
+    return '{' + keys.map(key => `${key}="${escape(labels[key])}"`).join(',') + '}';
+}
+
+function number(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Registry {
+    constructor(prefix) {
+        this.prefix = prefix || '';
+        this.families = {};
+    }
+
+    family(name, type, help, buckets) {
+        name = this.prefix + name;
+        let family = this.families[name];
+        if (!family) {
+            family = this.families[name] = { name, type, help, buckets, samples: {} };
+        }
+        return family;
+    }
+
+    gauge(name, help) {
+        return this.family(name, 'gauge', help);
+    }
+
+    counter(name, help) {
+        return this.family(name, 'counter', help);
+    }
+
+    histogram(name, help, buckets) {
+        return this.family(name, 'histogram', help, buckets || BUCKETS);
+    }
+
+    sample(family, labels, init) {
+        const key = labelText(labels);
+        let sample = family.samples[key];
+        if (!sample) {
+            sample = family.samples[key] = Object.assign({ labels: labels || {} }, init);
+        }
+        return sample;
+    }
+
+    set(name, labels, value) {
+        if (value === undefined || value === null || isNaN(value)) {
+            return;
+        }
+        this.sample(this.families[this.prefix + name], labels, { value: 0 }).value = value;
+    }
+
+    inc(name, labels, by) {
+        this.sample(this.families[this.prefix + name], labels, { value: 0 }).value += by || 1;
+    }
+
+    observe(name, labels, value) {
+        const family = this.families[this.prefix + name];
+        const sample = this.sample(family, labels, {
+            counts: family.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        });
+        family.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                sample.counts[i]++;
+            }
+        });
+        sample.sum += value;
+        sample.count++;
+    }
+
+    /** drop all samples of a family (gauges rebuilt each scrape) */
+    clear(name) {
+        this.families[this.prefix + name].samples = {};
+    }
+
+    text() {
+        const out = [];
+        for (let name in this.families) {
+            const family = this.families[name];
+            out.push(`# HELP ${name} ${family.help}`);
+            out.push(`# TYPE ${name} ${family.type}`);
+            for (let key in family.samples) {
+                const sample = family.samples[key];
+                if (family.type !== 'histogram') {
+                    out.push(`${name}${key} ${number(sample.value)}`);
+                    continue;
+                }
+                family.buckets.concat([ Infinity ]).forEach((bound, i) => {
+                    const count = i < family.buckets.length ? sample.counts[i] : sample.count;
+                    const labels = labelText(Object.assign({}, sample.labels, { le: number(bound) }));
+                    out.push(`${name}_bucket${labels} ${count}`);
+                });
+                out.push(`${name}_sum${key} ${sample.sum}`);
+                out.push(`${name}_count${key} ${sample.count}`);
+            }
+        }
+        return out.join("\n") + "\n";
+    }
+}
+
+module.exports = Registry;
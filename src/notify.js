@@ -0,0 +1,152 @@
+/**
+ * outbound event sinks. each sink picks events by name and delivers them
+ * as a signed json webhook, an email or by running a local script, with
+ * retries when delivery fails.
+ */
+
+const fs = require('fs');
+const url = require('url');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const spawn = require('child_process').spawn;
+const SMTP = require('./smtp');
+
+/** true when an event name matches a filter ("*", "device_*", "send_ok") */
+function matches(filters, name) {
+    return (filters || [ "*" ]).some(filter => {
+        return filter === name || filter === "*" ||
+            (filter.endsWith("*") && name.startsWith(filter.slice(0, -1)));
+    });
+}
+
+/** one line summary of an event for mail subjects */
+function summary(event) {
+    const what = event.name || event.file || event.key || '';
+    return `[grid:host] ${event.event} ${event.device || event.target || ''} ${what}`.trim();
+}
+
+const deliver = {
+
+    /** POST json. "secret" adds X-Grid-Signature: sha256=<hmac of body> */
+    webhook: (sink, event) => {
+        return new Promise((resolve, reject) => {
+            const body = JSON.stringify(event);
+            const target = url.parse(sink.url);
+            const headers = Object.assign({
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(body),
+                "X-Grid-Event": event.event
+            }, sink.headers);
+            if (sink.secret) {
+                headers["X-Grid-Signature"] = "sha256=" +
+                    crypto.createHmac('sha256', sink.secret).update(body).digest('hex');
+            }
+            const req = (target.protocol === 'https:' ? https : http).request({
+                method: "POST",
+                host: target.hostname,
+                port: target.port,
+                path: target.path,
+                headers,
+                timeout: sink.timeout || 10000
+            }, res => {
+                res.resume();
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(res.statusCode);
+                } else {
+                    reject(`http ${res.statusCode}`);
+                }
+            });
+            req.on('timeout', () => {
+                req.abort();
+            });
+            req.on('error', error => {
+                reject(error.code || error.message);
+            });
+            req.end(body);
+        });
+    },
+
+    smtp: (sink, event) => {
+        return new SMTP(sink).send({
+            from: sink.from,
+            to: sink.to,
+            subject: summary(event),
+            text: JSON.stringify(event, undefined, 4)
+        });
+    },
+
+    /** run "exec" with "args". event json on stdin and in GRID_EVENT */
+    script: (sink, event) => {
+        return new Promise((resolve, reject) => {
+            const json = JSON.stringify(event);
+            const proc = spawn(sink.exec, sink.args || [], {
+                env: Object.assign({}, process.env, {
+                    GRID_EVENT: json,
+                    GRID_EVENT_NAME: event.event
+                })
+            });
+            proc.on('error', error => {
+                reject(error.code || error.message);
+            });
+            proc.on('exit', code => {
+                if (code) {
+                    reject(`exit_code=${code}`);
+                } else {
+                    resolve(code);
+                }
+            });
+            proc.stdin.on('error', () => { });
+            proc.stdin.end(json);
+        });
+    }
+};
+
+class Notifier {
+    /** sinks: { name: { type, events, retry, ...type options } } */
+    constructor(sinks, log) {
+        this.sinks = sinks || {};
+        this.log = log || console.log;
+    }
+
+    emit(event) {
+        for (let name in this.sinks) {
+            const sink = this.sinks[name];
+            if (sink.disabled || !matches(sink.events, event.event)) {
+                continue;
+            }
+            if (!deliver[sink.type]) {
+                this.log({notify_error: name, error: `unknown sink type ${sink.type}`});
+                continue;
+            }
+            this.send(name, sink, event, 1);
+        }
+    }
+
+    /** deliver with doubling delay between attempts (retry.attempts, retry.backoff) */
+    send(name, sink, event, attempt) {
+        const retry = Object.assign({ attempts: 3, backoff: 5 }, sink.retry);
+        deliver[sink.type](sink, event)
+            .catch(error => {
+                const text = typeof error === 'string' ? error : error.message || String(error);
+                this.log({notify_error: name, event: event.event, attempt, error: text});
+                if (attempt < retry.attempts) {
+                    setTimeout(() => {
+                        this.send(name, sink, event, attempt + 1);
+                    }, retry.backoff * Math.pow(2, attempt - 1) * 1000);
+                }
+            });
+    }
+}
+
+module.exports = {
+    Notifier,
+    matches
+};
+
+if (!module.parent) {
+    const arg = process.argv.slice(2);
+    const config = JSON.parse(fs.readFileSync(arg.shift() || "etc/config.json"));
+    const event = { event: arg.shift() || "test", time: Date.now(), message: "test notification" };
+    new Notifier(config.notify).emit(event);
+}
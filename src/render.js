@@ -0,0 +1,171 @@
+/**
+ * gcode preview renderer. streams a file through the analyzer and draws
+ * each extruding move into an rgba bitmap, isometric or top down, shaded
+ * from the bottom layer to the top. the print bounds from an earlier
+ * analysis are used to fit the view so the file is only read once.
+ */
+
+const fs = require('fs');
+const PNG = require('pngjs').PNG;
+const LineBuffer = require('./linebuffer');
+const { Analyzer } = require('./analyze');
+
+const COS30 = Math.cos(Math.PI / 6);
+const SIN30 = 0.5;
+
+/** colors of the background and of the lowest and highest layers */
+const BACKGROUND = [ 255, 255, 255 ];
+const LOW = [ 30, 90, 170 ];
+const HIGH = [ 250, 150, 40 ];
+
+class Renderer extends Analyzer {
+    /** bounds { min: [x,y,z], max: [x,y,z] }, opt { size: [w,h], view: "iso" | "top" } */
+    constructor(bounds, opt) {
+        super();
+        opt = opt || {};
+        const size = opt.size || [ 400, 300 ];
+        this.view = opt.view === "top" ? "top" : "iso";
+        this.width = size[0];
+        this.height = size[1];
+        this.data = Buffer.alloc(this.width * this.height * 4);
+        this.pen = Math.max(1, Math.round(Math.min(this.width, this.height) / 200));
+        this.zmin = bounds.min[2];
+        this.zspan = (bounds.max[2] - bounds.min[2]) || 1;
+        for (let i = 0; i < this.data.length; i += 4) {
+            this.data[i] = BACKGROUND[0];
+            this.data[i + 1] = BACKGROUND[1];
+            this.data[i + 2] = BACKGROUND[2];
+            this.data[i + 3] = 255;
+        }
+        this.fit(bounds);
+    }
+
+    /** model point to unscaled view coordinates, y up */
+    project(x, y, z) {
+        if (this.view === "top") {
+            return [ x, y ];
+        }
+        return [ (x - y) * COS30, (x + y) * SIN30 + z ];
+    }
+
+    /** scale and center the projected bounding box with a margin */
+    fit(bounds) {
+        const min = [ Infinity, Infinity ];
+        const max = [ -Infinity, -Infinity ];
+        [ bounds.min[0], bounds.max[0] ].forEach(x => {
+            [ bounds.min[1], bounds.max[1] ].forEach(y => {
+                [ bounds.min[2], bounds.max[2] ].forEach(z => {
+                    const p = this.project(x, y, z);
+                    for (let i = 0; i < 2; i++) {
+                        min[i] = Math.min(min[i], p[i]);
+                        max[i] = Math.max(max[i], p[i]);
+                    }
+                });
+            });
+        });
+        const margin = 0.05;
+        const span = [ (max[0] - min[0]) || 1, (max[1] - min[1]) || 1 ];
+        this.scale = Math.min(this.width / span[0], this.height / span[1]) * (1 - margin * 2);
+        this.left = (this.width - span[0] * this.scale) / 2 - min[0] * this.scale;
+        this.top = (this.height + span[1] * this.scale) / 2 + min[1] * this.scale;
+    }
+
+    screen(p) {
+        const v = this.project(p.X, p.Y, p.Z);
+        return [ this.left + v[0] * this.scale, this.top - v[1] * this.scale ];
+    }
+
+    extrude(de, points) {
+        super.extrude(de, points);
+        if (de <= 0) {
+            return;
+        }
+        for (let i = 1; i < points.length; i++) {
+            this.segment(points[i - 1], points[i]);
+        }
+    }
+
+    /** segment color by height, lighter for moves across the view */
+    color(a, b, x, y) {
+        const t = Math.min(1, Math.max(0, ((a.Z + b.Z) / 2 - this.zmin) / this.zspan));
+        const len = Math.sqrt(x * x + y * y) || 1;
+        const light = 0.8 + 0.2 * Math.abs(x / len);
+        return LOW.map((low, i) => Math.round((low + (HIGH[i] - low) * t) * light));
+    }
+
+    segment(a, b) {
+        const [ x1, y1 ] = this.screen(a);
+        const [ x2, y2 ] = this.screen(b);
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const color = this.color(a, b, dx, dy);
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dy))));
+        for (let i = 0; i <= steps; i++) {
+            this.plot(Math.round(x1 + dx * i / steps), Math.round(y1 + dy * i / steps), color);
+        }
+    }
+
+    plot(x, y, color) {
+        const half = Math.floor(this.pen / 2);
+        for (let py = y - half; py < y - half + this.pen; py++) {
+            if (py < 0 || py >= this.height) {
+                continue;
+            }
+            for (let px = x - half; px < x - half + this.pen; px++) {
+                if (px < 0 || px >= this.width) {
+                    continue;
+                }
+                const idx = (py * this.width + px) * 4;
+                this.data[idx] = color[0];
+                this.data[idx + 1] = color[1];
+                this.data[idx + 2] = color[2];
+            }
+        }
+    }
+
+    png() {
+        return PNG.sync.write({ width: this.width, height: this.height, data: this.data });
+    }
+}
+
+/** render a gcode file to a png buffer */
+function render(file, bounds, opt) {
+    return new Promise((resolve, reject) => {
+        if (!bounds) {
+            return reject("no extrusion to render");
+        }
+        const renderer = new Renderer(bounds, opt);
+        const stream = fs.createReadStream(file);
+        const lbuf = new LineBuffer(stream, line => {
+            renderer.line(line.toString());
+        });
+        stream
+            .on('error', error => {
+                reject(error);
+            })
+            .on('end', () => {
+                if (lbuf.buffer && lbuf.buffer.length) {
+                    renderer.line(lbuf.buffer.toString());
+                }
+                resolve(renderer.png());
+            });
+    });
+}
+
+module.exports = {
+    Renderer,
+    render
+};
+
+if (!module.parent) {
+    const { analyze } = require('./analyze');
+    const [ file, out, view ] = process.argv.slice(2);
+    analyze(file)
+        .then(stats => render(file, stats.bounds, { view }))
+        .then(png => {
+            fs.writeFileSync(out || "preview.png", png);
+        })
+        .catch(error => {
+            console.log({error});
+        });
+}
@@ -0,0 +1,196 @@
+/**
+ * minimal smtp client for notification mail. supports implicit tls
+ * ("secure"), STARTTLS and AUTH PLAIN. one message per connection.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+class SMTP {
+    constructor(opt) {
+        this.host = opt.host || "localhost";
+        this.port = opt.port || (opt.secure ? 465 : 25);
+        this.secure = opt.secure || false;
+        this.starttls = opt.starttls !== false;
+        this.user = opt.user;
+        this.pass = opt.pass;
+        this.timeout = opt.timeout || 30000;
+        this.socket = null;
+        this.buffer = '';
+        this.lines = [];
+        this.waiter = null;
+        this.closed = null;     // why the connection ended, once it has
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const opts = { host: this.host, port: this.port, servername: this.host };
+            const socket = this.secure ? tls.connect(opts) : net.connect(opts);
+            const timeout = () => {
+                socket.destroy();
+                reject("smtp timeout");
+            };
+            socket.setTimeout(this.timeout);
+            socket.once('timeout', timeout);
+            socket.once('error', reject);
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+                socket.removeListener('error', reject);
+                socket.removeListener('timeout', timeout);
+                this.attach(socket);
+                resolve();
+            });
+        });
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.setTimeout(this.timeout);
+        socket
+            .on('data', data => {
+                this.onData(data.toString());
+            })
+            .on('timeout', () => {
+                this.fail("smtp timeout");
+                socket.destroy();
+            })
+            .on('error', error => {
+                this.fail(error.code || error.message);
+            })
+            .on('end', () => {
+                this.fail("smtp connection closed");
+            })
+            .on('close', () => {
+                this.fail("smtp connection closed");
+            });
+    }
+
+    /** reject the pending command. later commands fail at once */
+    fail(error) {
+        this.closed = this.closed || error;
+        const waiter = this.waiter;
+        this.waiter = null;
+        if (waiter) {
+            waiter.reject(error);
+        }
+    }
+
+    /** collect a (possibly multi-line) reply and hand it to the waiter */
+    onData(text) {
+        this.buffer += text;
+        let eol;
+        while ((eol = this.buffer.indexOf("\r\n")) >= 0) {
+            const line = this.buffer.substring(0, eol);
+            this.buffer = this.buffer.substring(eol + 2);
+            this.lines.push(line);
+            if (line.charAt(3) !== '-') {
+                const reply = { code: parseInt(line.substring(0, 3)), lines: this.lines };
+                const waiter = this.waiter;
+                this.lines = [];
+                this.waiter = null;
+                if (waiter) {
+                    waiter.resolve(reply);
+                }
+            }
+        }
+    }
+
+    /** send a command (or nothing) and require one of the reply codes */
+    command(line, codes) {
+        return new Promise((resolve, reject) => {
+            if (this.closed) {
+                return reject(this.closed);
+            }
+            this.waiter = { resolve, reject };
+            if (line !== null) {
+                this.socket.write(line + "\r\n");
+            }
+        }).then(reply => {
+            if (codes.indexOf(reply.code) < 0) {
+                throw `smtp ${line ? line.split(' ')[0] : 'greeting'}: ${reply.lines.join(' ')}`;
+            }
+            return reply;
+        });
+    }
+
+    upgrade() {
+        return new Promise((resolve, reject) => {
+            const plain = this.socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('timeout');
+            plain.removeAllListeners('error');
+            plain.removeAllListeners('end');
+            plain.removeAllListeners('close');
+            const socket = tls.connect({ socket: plain, servername: this.host }, () => {
+                socket.removeListener('close', closed);
+                this.attach(socket);
+                resolve();
+            });
+            const closed = () => reject("smtp connection closed");
+            socket.setTimeout(this.timeout, () => socket.destroy());
+            socket.once('error', reject);
+            socket.once('close', closed);
+        });
+    }
+
+    /** send { from, to, subject, text } where "to" is a string or array */
+    send(mail) {
+        const to = Array.isArray(mail.to) ? mail.to : [ mail.to ];
+        const hello = `EHLO ${os.hostname()}`;
+        return this.connect()
+            .then(() => this.command(null, [ 220 ]))
+            .then(() => this.command(hello, [ 250 ]))
+            .then(reply => {
+                const offered = reply.lines.some(line => /STARTTLS/i.test(line));
+                if (this.secure || !this.starttls || !offered) {
+                    return;
+                }
+                return this.command("STARTTLS", [ 220 ])
+                    .then(() => this.upgrade())
+                    .then(() => this.command(hello, [ 250 ]));
+            })
+            .then(() => {
+                if (this.user) {
+                    const auth = Buffer.from(`\u0000${this.user}\u0000${this.pass}`).toString('base64');
+                    return this.command(`AUTH PLAIN ${auth}`, [ 235 ]);
+                }
+            })
+            .then(() => this.command(`MAIL FROM:<${mail.from}>`, [ 250 ]))
+            .then(() => to.reduce((chain, addr) => {
+                return chain.then(() => this.command(`RCPT TO:<${addr}>`, [ 250, 251 ]));
+            }, Promise.resolve()))
+            .then(() => this.command("DATA", [ 354 ]))
+            .then(() => this.command(message(mail, to), [ 250 ]))
+            .then(() => this.command("QUIT", [ 221 ]))
+            .then(() => {
+                this.socket.end();
+            })
+            .catch(error => {
+                if (this.socket) {
+                    this.socket.destroy();
+                }
+                throw error;
+            });
+    }
+}
+
+/** rfc 5322 message with dot-stuffed body, terminated for DATA */
+function message(mail, to) {
+    const body = (mail.text || '')
+        .split(/\r?\n/)
+        .map(line => line.charAt(0) === '.' ? '.' + line : line)
+        .join("\r\n");
+    return [
+        `From: ${mail.from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${mail.subject || ''}`,
+        `Date: ${new Date().toUTCString()}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        body,
+        "."
+    ].join("\r\n");
+}
+
+module.exports = SMTP;
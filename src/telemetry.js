@@ -0,0 +1,178 @@
+/**
+ * rolling device status samples. each device keeps an hour of per-second
+ * samples and a week of per-minute samples, where each heater holds the
+ * minute's average, target, min and max so spikes are not smoothed away.
+ * rings are saved to one json file per device in the telemetry directory.
+ */
+
+const fs = require('fs');
+
+/** per-second samples kept (1 hour) */
+const FINE = 3600;
+
+/** per-minute samples kept (1 week) */
+const COARSE = 7 * 24 * 60;
+
+/** coarse sample width in ms */
+const STEP = 60000;
+
+class Ring {
+    constructor(size, items) {
+        this.size = size;
+        this.items = (items || []).slice(-size);
+    }
+
+    push(item) {
+        this.items.push(item);
+        if (this.items.length > this.size) {
+            this.items.shift();
+        }
+    }
+
+    since(time) {
+        const items = this.items;
+        let i = items.length;
+        while (i > 0 && items[i - 1].t > time) {
+            i--;
+        }
+        return items.slice(i);
+    }
+
+    first() {
+        return this.items[0];
+    }
+}
+
+function round(v) {
+    return Math.round(v * 10) / 10;
+}
+
+class Series {
+    constructor(saved) {
+        saved = saved || {};
+        this.fine = new Ring(FINE, saved.fine);
+        this.coarse = new Ring(COARSE, saved.coarse);
+        this.bucket = null;
+    }
+
+    /** sample is { t, s: state, p: progress, T0: [ cur, target ], ... } */
+    add(sample) {
+        this.fine.push(sample);
+        const slot = Math.floor(sample.t / STEP) * STEP;
+        if (this.bucket && this.bucket.t !== slot) {
+            this.coarse.push(this.flush());
+        }
+        if (!this.bucket) {
+            this.bucket = { t: slot, n: 0, s: null, p: 0, heat: {} };
+        }
+        const bucket = this.bucket;
+        bucket.n++;
+        bucket.s = sample.s;
+        bucket.p = sample.p;
+        for (let key in sample) {
+            const val = sample[key];
+            if (!Array.isArray(val)) {
+                continue;
+            }
+            const heat = bucket.heat[key] = bucket.heat[key] || { sum: 0, n: 0, target: 0, min: Infinity, max: -Infinity };
+            heat.sum += val[0];
+            heat.n++;
+            heat.target = val[1];
+            heat.min = Math.min(heat.min, val[0]);
+            heat.max = Math.max(heat.max, val[0]);
+        }
+    }
+
+    /** close the current minute into [ avg, target, min, max ] per heater */
+    flush() {
+        const bucket = this.bucket;
+        const out = { t: bucket.t, s: bucket.s, p: bucket.p };
+        for (let key in bucket.heat) {
+            const heat = bucket.heat[key];
+            out[key] = [ round(heat.sum / heat.n), heat.target, heat.min, heat.max ];
+        }
+        this.bucket = null;
+        return out;
+    }
+
+    /** per-second samples when the fine ring reaches back far enough */
+    query(since) {
+        const first = this.fine.first();
+        if (first && first.t <= since) {
+            return { step: 1, samples: this.fine.since(since) };
+        }
+        const coarse = this.coarse.since(since);
+        const last = coarse.length ? coarse[coarse.length - 1].t + STEP : since;
+        return { step: coarse.length ? 60 : 1, samples: coarse.concat(this.fine.since(last)) };
+    }
+
+    export() {
+        return { fine: this.fine.items, coarse: this.coarse.items };
+    }
+}
+
+class Telemetry {
+    constructor(dir) {
+        this.dir = dir;
+        this.series = {};
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+        } catch (e) { }
+    }
+
+    file(name) {
+        return `${this.dir}/${encodeURIComponent(name)}.json`;
+    }
+
+    get(name) {
+        let series = this.series[name];
+        if (!series) {
+            let saved = null;
+            try {
+                saved = JSON.parse(fs.readFileSync(this.file(name)));
+            } catch (e) { }
+            series = this.series[name] = new Series(saved);
+        }
+        return series;
+    }
+
+    /** add a device status ({ state, progress, temps }) as a sample */
+    record(name, status, time) {
+        const sample = {
+            t: time || Date.now(),
+            s: status.state,
+            p: round(parseFloat(status.progress) || 0)
+        };
+        const temps = status.temps || {};
+        for (let key in temps) {
+            const cur = parseFloat(temps[key][0]);
+            if (!isNaN(cur)) {
+                sample[key] = [ cur, parseFloat(temps[key][1]) || 0 ];
+            }
+        }
+        this.get(name).add(sample);
+    }
+
+    query(name, since) {
+        return this.get(name).query(since || Date.now() - 600000);
+    }
+
+    names() {
+        return Object.keys(this.series);
+    }
+
+    /** write each device's rings (temp file, then rename) */
+    save() {
+        for (let name in this.series) {
+            const file = this.file(name);
+            try {
+                fs.writeFileSync(file + ".tmp", JSON.stringify(this.series[name].export()));
+                fs.renameSync(file + ".tmp", file);
+            } catch (e) {
+                console.log({telemetry_save: name, error: e.code || e.message});
+            }
+        }
+    }
+}
+
+module.exports = Telemetry;
@@ -0,0 +1,183 @@
+/**
+ * timelapse recorder. camera frames are appended to an uncompressed zip
+ * as numbered jpegs. the central directory is written every few frames
+ * and on close. a recording cut short is made readable again by repair,
+ * which rebuilds the directory from the frames' local headers.
+ */
+
+const fs = require('fs');
+const crc32 = require('buffer-crc32');
+
+/** zip entries are limited to a 16 bit count without zip64 */
+const MAX_FRAMES = 65535;
+
+/** frames appended between central directory writes */
+const CHECKPOINT = 50;
+
+const LOCAL = 0x04034b50;
+
+/** ms time as [ dos time, dos date ] */
+function dosTime(time) {
+    const d = new Date(time);
+    return [
+        (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    ];
+}
+
+class Timelapse {
+    constructor(file, max) {
+        this.file = file;
+        this.max = Math.min(max || MAX_FRAMES, MAX_FRAMES);
+        this.fd = fs.openSync(file, 'w');
+        this.frames = [];       // { name, crc, size, offset, dtime, ddate }
+        this.offset = 0;        // end of frame data, start of the directory
+        this.size = 0;
+    }
+
+    get full() {
+        return this.frames.length >= this.max;
+    }
+
+    /** append a jpeg frame. returns false once the frame limit is reached */
+    add(data, time) {
+        if (!this.fd || this.full) {
+            return false;
+        }
+        const [ dtime, ddate ] = dosTime(time || Date.now());
+        const frame = {
+            name: `frame-${String(this.frames.length + 1).padStart(5, '0')}.jpg`,
+            crc: crc32.unsigned(data),
+            size: data.length,
+            offset: this.offset,
+            dtime,
+            ddate
+        };
+        const name = Buffer.from(frame.name);
+        const head = Buffer.alloc(30);
+        head.writeUInt32LE(LOCAL, 0);       // local file header
+        head.writeUInt16LE(10, 4);          // version needed
+        head.writeUInt16LE(0, 6);           // flags
+        head.writeUInt16LE(0, 8);           // stored
+        head.writeUInt16LE(dtime, 10);
+        head.writeUInt16LE(ddate, 12);
+        head.writeUInt32LE(frame.crc, 14);
+        head.writeUInt32LE(data.length, 18);
+        head.writeUInt32LE(data.length, 22);
+        head.writeUInt16LE(name.length, 26);
+        head.writeUInt16LE(0, 28);
+        const local = Buffer.concat([ head, name, data ]);
+        fs.writeSync(this.fd, local, 0, local.length, this.offset);
+        this.offset += local.length;
+        this.size = this.offset;
+        this.frames.push(frame);
+        if (this.frames.length % CHECKPOINT === 0) {
+            this.directory();
+        }
+        return true;
+    }
+
+    /** write the central directory and end record after the frame data */
+    directory() {
+        const tail = this.tail();
+        fs.writeSync(this.fd, tail, 0, tail.length, this.offset);
+        fs.ftruncateSync(this.fd, this.offset + tail.length);
+        this.size = this.offset + tail.length;
+    }
+
+    /**
+     * central directory and end record for the frames written so far. the
+     * bytes before offset never change, so they plus this form a valid zip
+     */
+    tail() {
+        const parts = this.frames.map(frame => {
+            const name = Buffer.from(frame.name);
+            const head = Buffer.alloc(46);
+            head.writeUInt32LE(0x02014b50, 0);  // central directory header
+            head.writeUInt16LE(20, 4);          // version made by
+            head.writeUInt16LE(10, 6);          // version needed
+            head.writeUInt16LE(0, 8);
+            head.writeUInt16LE(0, 10);
+            head.writeUInt16LE(frame.dtime, 12);
+            head.writeUInt16LE(frame.ddate, 14);
+            head.writeUInt32LE(frame.crc, 16);
+            head.writeUInt32LE(frame.size, 20);
+            head.writeUInt32LE(frame.size, 24);
+            head.writeUInt16LE(name.length, 28);
+            head.writeUInt32LE(frame.offset, 42);
+            return Buffer.concat([ head, name ]);
+        });
+        const dir = Buffer.concat(parts);
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);       // end of central directory
+        end.writeUInt16LE(this.frames.length, 8);
+        end.writeUInt16LE(this.frames.length, 10);
+        end.writeUInt32LE(dir.length, 12);
+        end.writeUInt32LE(this.offset, 16);
+        return Buffer.concat([ dir, end ]);
+    }
+
+    close() {
+        if (this.fd) {
+            this.directory();
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    /**
+     * rebuild the directory of a recording that was never closed from the
+     * local headers of its complete frames. returns { frames, size }
+     */
+    static repair(file) {
+        const lapse = Object.create(Timelapse.prototype);
+        lapse.file = file;
+        lapse.fd = fs.openSync(file, 'r+');
+        lapse.frames = [];
+        lapse.offset = 0;
+        try {
+            const length = fs.fstatSync(lapse.fd).size;
+            const head = Buffer.alloc(30);
+            while (lapse.offset + 30 <= length) {
+                fs.readSync(lapse.fd, head, 0, 30, lapse.offset);
+                if (head.readUInt32LE(0) !== LOCAL) {
+                    break;
+                }
+                const nlen = head.readUInt16LE(26);
+                const start = lapse.offset + 30 + nlen + head.readUInt16LE(28);
+                const size = head.readUInt32LE(22);
+                if (start + size > length) {
+                    break;
+                }
+                const name = Buffer.alloc(nlen);
+                fs.readSync(lapse.fd, name, 0, nlen, lapse.offset + 30);
+                lapse.frames.push({
+                    name: name.toString(),
+                    crc: head.readUInt32LE(14),
+                    size,
+                    offset: lapse.offset,
+                    dtime: head.readUInt16LE(10),
+                    ddate: head.readUInt16LE(12)
+                });
+                lapse.offset = start + size;
+            }
+            // only the last frame can have been cut off mid-write
+            const last = lapse.frames[lapse.frames.length - 1];
+            if (last) {
+                const data = Buffer.alloc(last.size);
+                fs.readSync(lapse.fd, data, 0, last.size, lapse.offset - last.size);
+                if (crc32.unsigned(data) !== last.crc) {
+                    lapse.frames.pop();
+                    lapse.offset = last.offset;
+                }
+            }
+            lapse.directory();
+        } finally {
+            fs.closeSync(lapse.fd);
+            lapse.fd = null;
+        }
+        return { frames: lapse.frames.length, size: lapse.size };
+    }
+}
+
+module.exports = Timelapse;
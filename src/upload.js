@@ -0,0 +1,244 @@
+/**
+ * streams an http request body to disk without buffering it in memory.
+ *
+ * raw bodies are written as-is. unless the body is declared binary, a
+ * NUL byte followed by base64 text is split off as the kiri:moto image.
+ * multipart/form-data bodies write the first file part to disk and
+ * collect the remaining small fields.
+ */
+
+const fs = require('fs');
+
+const MaxField = 64 * 1024;
+const MaxImage = 16 * 1024 * 1024;
+const BASE64 = /^[A-Za-z0-9+/=\r\n]*$/;
+
+class Upload {
+
+    constructor(req, file, maxSize, ondone) {
+        const type = req.headers['content-type'] || '';
+        const length = parseInt(req.headers['content-length'] || 0);
+        const boundary = type.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+
+        this.req = req;
+        this.file = file;
+        this.maxSize = maxSize || Infinity;
+        this.ondone = ondone;
+        this.size = 0;          // bytes received
+        this.written = 0;       // bytes written to file
+        this.fields = {};       // multipart form fields
+        this.filename = null;   // multipart file name
+        this.image = null;      // decoded image
+        this.error = null;
+        this.finished = false;
+        this.out = fs.createWriteStream(file);
+        this.out.on('error', error => this.fail(error));
+        this.out.on('drain', () => {
+            if (!this.finished) {
+                req.resume();
+            }
+        });
+
+        if (type.indexOf('multipart/form-data') === 0 && boundary) {
+            this.mode = 'preamble';
+            this.delim = Buffer.from(`\r\n--${boundary[1] || boundary[2]}`);
+            this.buf = Buffer.from("\r\n");
+        } else {
+            this.mode = type.indexOf('application/octet-stream') === 0 ? 'binary' : 'data';
+            this.trailer = [];
+            this.trailerSize = 0;
+        }
+
+        if (length > this.maxSize) {
+            this.fail({status: 413, error: "upload too large", max: this.maxSize});
+            return;
+        }
+
+        req.on('data', data => this.ondata(data));
+        req.on('end', () => this.onend());
+        req.on('error', error => this.fail(error));
+    }
+
+    fail(error) {
+        if (this.finished) {
+            return;
+        }
+        this.finished = true;
+        this.error = error;
+        this.req.pause();
+        this.out.destroy();
+        fs.unlink(this.file, () => {});
+        this.ondone(error, this);
+    }
+
+    write(data) {
+        if (data.length) {
+            this.written += data.length;
+            // hold the request until a slow disk catches up
+            if (!this.out.write(data)) {
+                this.req.pause();
+            }
+        }
+    }
+
+    ondata(data) {
+        if (this.finished) {
+            return;
+        }
+        this.size += data.length;
+        if (this.size > this.maxSize) {
+            this.fail({status: 413, error: "upload too large", max: this.maxSize});
+            return;
+        }
+        if (this.delim) {
+            this.buf = Buffer.concat([this.buf, data]);
+            this.multipart();
+        } else {
+            this.raw(data);
+        }
+    }
+
+    /** raw body with optional NUL separated base64 image trailer */
+    raw(data) {
+        if (this.mode === 'trailer') {
+            return this.addTrailer(data);
+        }
+        let nul = this.mode === 'data' ? data.indexOf(0) : -1;
+        if (nul < 0) {
+            return this.write(data);
+        }
+        this.write(data.slice(0, nul));
+        this.mode = 'trailer';
+        this.addTrailer(data.slice(nul + 1));
+    }
+
+    addTrailer(data) {
+        this.trailer.push(data);
+        this.trailerSize += data.length;
+        if (this.trailerSize > MaxImage || !BASE64.test(data.toString('latin1'))) {
+            // not an image after all. restore the NUL and keep going
+            this.mode = 'binary';
+            this.write(Buffer.from([0]));
+            this.trailer.forEach(chunk => this.write(chunk));
+            this.trailer = [];
+        }
+    }
+
+    /** incremental multipart/form-data parser */
+    multipart() {
+        const delim = this.delim;
+        while (!this.finished) {
+            let buf = this.buf;
+            if (this.mode === 'preamble' || this.mode === 'body') {
+                let pos = buf.indexOf(delim);
+                if (pos < 0) {
+                    // keep enough to match a delimiter split across chunks
+                    let keep = Math.max(0, buf.length - delim.length);
+                    this.part(buf.slice(0, keep));
+                    this.buf = buf.slice(keep);
+                    return;
+                }
+                this.part(buf.slice(0, pos));
+                this.endPart();
+                this.buf = buf.slice(pos + delim.length);
+                this.mode = 'next';
+            } else if (this.mode === 'next') {
+                if (buf.length < 2) {
+                    return;
+                }
+                if (buf.slice(0, 2).toString() === '--') {
+                    this.mode = 'epilogue';
+                    return;
+                }
+                this.buf = buf.slice(2);
+                this.mode = 'headers';
+            } else if (this.mode === 'headers') {
+                let pos = buf.indexOf("\r\n\r\n");
+                if (pos < 0) {
+                    if (buf.length > MaxField) {
+                        this.fail({status: 400, error: "invalid multipart headers"});
+                    }
+                    return;
+                }
+                this.startPart(buf.slice(0, pos).toString());
+                this.buf = buf.slice(pos + 4);
+                this.mode = 'body';
+            } else {
+                // epilogue is ignored
+                this.buf = Buffer.alloc(0);
+                return;
+            }
+        }
+    }
+
+    startPart(headers) {
+        const disp = headers.match(/content-disposition:[^\r\n]*/i);
+        const name = disp ? disp[0].match(/\bname="([^"]*)"/i) : null;
+        const filename = disp ? disp[0].match(/\bfilename="([^"]*)"/i) : null;
+        this.current = {
+            name: name ? name[1] : '',
+            filename: filename ? filename[1] : null,
+            chunks: [],
+            size: 0
+        };
+        // the first file part (other than an image) is the upload
+        this.current.isFile = this.current.filename !== null &&
+            this.current.name !== 'image' &&
+            this.filename === null;
+        if (this.current.isFile) {
+            this.filename = this.current.filename;
+        }
+    }
+
+    part(data) {
+        const part = this.current;
+        if (this.mode !== 'body' || !part || !data.length) {
+            return;
+        }
+        if (part.isFile) {
+            return this.write(data);
+        }
+        part.size += data.length;
+        if (part.size > (part.name === 'image' ? MaxImage : MaxField)) {
+            this.fail({status: 413, error: "form field too large", field: part.name});
+            return;
+        }
+        part.chunks.push(data);
+    }
+
+    endPart() {
+        const part = this.current;
+        this.current = null;
+        if (!part || part.isFile) {
+            return;
+        }
+        const value = Buffer.concat(part.chunks);
+        if (part.name === 'image') {
+            this.image = part.filename !== null ? value : Buffer.from(value.toString(), 'base64');
+        } else {
+            this.fields[part.name] = value.toString();
+        }
+    }
+
+    onend() {
+        if (this.finished) {
+            return;
+        }
+        if (this.delim && this.mode !== 'epilogue') {
+            this.fail({status: 400, error: "truncated multipart body"});
+            return;
+        }
+        if (this.mode === 'trailer') {
+            let trailer = Buffer.concat(this.trailer).toString().trim();
+            this.image = trailer.length ? Buffer.from(trailer, 'base64') : null;
+        }
+        this.out.end(() => {
+            if (!this.finished) {
+                this.finished = true;
+                this.ondone(null, this);
+            }
+        });
+    }
+}
+
+module.exports = Upload;
@@ -0,0 +1,162 @@
+/**
+ * local user accounts with roles. passwords are stored as scrypt hashes.
+ * api tokens are random and used as "Authorization: Bearer <token>".
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+/** roles in increasing order of privilege */
+const ROLES = [ "viewer", "submitter", "operator", "admin" ];
+
+function hash(password, salt) {
+    salt = salt || crypto.randomBytes(16).toString('hex');
+    return salt + ":" + crypto.scryptSync(password, salt, 32).toString('hex');
+}
+
+function verify(password, stored) {
+    if (!password || !stored) {
+        return false;
+    }
+    const check = Buffer.from(hash(password, stored.split(':')[0]));
+    const known = Buffer.from(stored);
+    return check.length === known.length && crypto.timingSafeEqual(check, known);
+}
+
+function token() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/** true when role grants at least the required role */
+function allows(role, required) {
+    return ROLES.indexOf(role) >= 0 && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+class Users {
+    constructor(file) {
+        this.file = file;
+        this.users = {};
+        this.mtime = 0;
+        this.load();
+    }
+
+    /** (re)load the users file when it has changed on disk */
+    load() {
+        let mtime = 0;
+        try {
+            mtime = fs.statSync(this.file).mtime.getTime();
+        } catch (e) {
+            this.users = {};
+            return this;
+        }
+        if (mtime !== this.mtime) {
+            this.users = JSON.parse(fs.readFileSync(this.file));
+            this.mtime = mtime;
+        }
+        return this;
+    }
+
+    save() {
+        fs.writeFileSync(this.file, JSON.stringify(this.users, undefined, 4));
+        return this;
+    }
+
+    enabled() {
+        return Object.keys(this.users).length > 0;
+    }
+
+    get(name) {
+        const rec = this.users[name];
+        return rec ? { name, role: rec.role } : null;
+    }
+
+    login(name, password) {
+        const rec = this.users[name];
+        return rec && verify(password, rec.password) ? this.get(name) : null;
+    }
+
+    byToken(tok) {
+        for (let name in this.users) {
+            if (tok && (this.users[name].tokens || []).indexOf(tok) >= 0) {
+                return this.get(name);
+            }
+        }
+        return null;
+    }
+
+    list() {
+        return Object.keys(this.users).map(name => this.get(name));
+    }
+
+    add(name, role, password) {
+        if (ROLES.indexOf(role) < 0) {
+            throw `invalid role: ${role}`;
+        }
+        const rec = this.users[name] || { tokens: [] };
+        rec.role = role;
+        if (password) {
+            rec.password = hash(password);
+        }
+        this.users[name] = rec;
+        return this;
+    }
+
+    addToken(name) {
+        const rec = this.users[name];
+        if (!rec) {
+            throw `no user: ${name}`;
+        }
+        const tok = token();
+        rec.tokens = (rec.tokens || []).concat([ tok ]);
+        return tok;
+    }
+
+    remove(name) {
+        delete this.users[name];
+        return this;
+    }
+}
+
+module.exports = {
+    ROLES,
+    Users,
+    allows,
+    token
+};
+
+if (!module.parent) {
+    const arg = process.argv.slice(2);
+    const cmd = arg.shift();
+    const file = process.env.USERS || "etc/users.json";
+    const users = new Users(file);
+
+    switch (cmd) {
+        case 'add':
+            users.add(arg.shift(), arg.shift(), arg.shift()).save();
+            console.log(users.list());
+            break;
+        case 'token':
+            let name = arg.shift();
+            let tok = users.addToken(name);
+            users.save();
+            console.log({user: name, token: tok});
+            break;
+        case 'del':
+            users.remove(arg.shift()).save();
+            console.log(users.list());
+            break;
+        case 'list':
+            console.log(users.list());
+            break;
+        default:
+            console.log([
+                "invalid command: " + cmd,
+                "usage (set USERS to use a file other than etc/users.json):",
+                "  add   [name] [" + ROLES.join('|') + "] <password>",
+                "  token [name]",
+                "  del   [name]",
+                "  list"
+            ].join("\n"));
+            break;
+    }
+}
@@ -1,5 +1,7 @@
 let lastT = {};
 let lastQ = [];
+let socket = null;
+let pollers = [];
 
 String.prototype.hashCode = function(){
     var hash = 0;
@@ -15,12 +17,59 @@ function $(id) {
     return document.getElementById(id);
 }
 
+let login_wait = null;
+
+/** prompt for credentials and start a session cookie */
+function login() {
+    if (login_wait) {
+        return login_wait;
+    }
+    return login_wait = new Promise((resolve, reject) => {
+        let user = prompt('user name');
+        let password = user ? prompt('password') : null;
+        if (!password) {
+            login_wait = null;
+            return reject('login cancelled');
+        }
+        fetch('/api/login', {
+            method: 'POST',
+            credentials: 'same-origin',
+            body: JSON.stringify({user, password})
+        }).then(r => {
+            login_wait = null;
+            if (r.ok) {
+                resolve();
+            } else {
+                alert('login failed');
+                reject('login failed');
+            }
+        });
+    });
+}
+
+/**
+ * fetch an api url, logging in first when the server requires it. calls
+ * that change state are posted since the server refuses them as gets
+ */
+function api(url, post) {
+    return fetch(url, {credentials: 'same-origin', method: post ? 'POST' : 'GET'})
+        .then(r => {
+            if (r.status === 401) {
+                return login().then(() => api(url, post));
+            }
+            if (r.status === 403) {
+                throw `not permitted: ${url}`;
+            }
+            return r;
+        });
+}
+
 function browse(url) {
     window.open(url, "_web_control_");
 }
 
 function enable(t) {
-    fetch(`/api/enable?target=${t}`)
+    api(`/api/enable?target=${t}`, true)
         .then(r => r.json())
         .then(c => {
             console.log({enable: c, t});
@@ -28,7 +77,7 @@ function enable(t) {
 }
 
 function disable(t) {
-    fetch(`/api/disable?target=${t}`)
+    api(`/api/disable?target=${t}`, true)
         .then(r => r.json())
         .then(c => {
             console.log({enable: c, t});
@@ -46,6 +95,7 @@ function targets(t) {
         cell('th', div('nozzle 0')),
         cell('th', div('nozzle 1')),
         cell('th', div('bed')),
+        cell('th', div('temps')),
         cell('th', div('action')),
         '</tr></thead><tbody>'
     ];
@@ -78,10 +128,18 @@ function targets(t) {
                 html.push(cell(`td id="${devid}-t0"`, ''));
                 html.push(cell(`td id="${devid}-t1"`, ''));
                 html.push(cell(`td id="${devid}-b"`, ''));
-                html.push(cell('td class="actions"',
+                html.push(cell('td', `<canvas id="${devid}-ch" width="120" height="24"></canvas>`, {
+                    onclick: `chart_show('${k}')`
+                }));
+                html.push(cell('td',
                     cell(`a id=${devid}-da`, 'enable',  {onclick: `enable('${k}')`}  ) +
                     cell(`a id=${devid}-en`, 'disable', {onclick: `disable('${k}')`} ) +
-                    cell(`a`, 'cancel', {onclick: `print_cancel('${k}')`} )
+                    cell(`a id=${devid}-pa`, 'pause', {onclick: `print_control('pause','${k}')`} ) +
+                    cell(`a id=${devid}-re`, 'resume', {onclick: `print_control('resume','${k}')`} ) +
+                    cell(`a`, 'cancel', {onclick: `print_cancel('${k}')`} ) +
+                    (v.control ? cell(`a`, 'console', {onclick: `console_show('${k}')`} ) : '') +
+                    (v.camera ? cell(`a`, 'camera', {onclick: `browse('/api/camera.mjpeg?target=${encodeURIComponent(k)}')`} ) : ''),
+                    {class: "actions"}
                 ));
             }
             html.push('</tr>');
@@ -104,6 +162,8 @@ function targets(t) {
             stat.temps.T1.map(v => parseInt(v)).join(' / ') : '';
         $(`${devid}-b`).innerText = stat.temps && stat.temps.B ?
             stat.temps.B.map(v => parseInt(v)).join(' / ') : '';
+        $(`${devid}-pa`).style.display = stat.state === 'PRINTING' ? '' : 'none';
+        $(`${devid}-re`).style.display = stat.state === 'PAUSED' ? '' : 'none';
         if (v.disabled) {
             $(`${devid}-da`).style.display = '';
             $(`${devid}-en`).style.display = 'none';
@@ -137,6 +197,266 @@ function targets(t) {
     }
 }
 
+/** heater colors for charts. targets are drawn dashed */
+const heat_colors = { T0: '#d33', T1: '#e90', B: '#33d' };
+
+let chart = { target: null, span: 3600000 };
+
+/**
+ * draw telemetry samples ({step, samples}) into a canvas. full charts add
+ * targets, progress and the min/max band of per-minute samples
+ */
+function draw_chart(canvas, data, full) {
+    let ctx = canvas.getContext('2d');
+    let w = canvas.width;
+    let h = canvas.height;
+    let samples = data.samples || [];
+    ctx.clearRect(0, 0, w, h);
+    if (samples.length < 2) {
+        return;
+    }
+    let t0 = samples[0].t;
+    let t1 = samples[samples.length - 1].t;
+    let top = 50;
+    samples.forEach(s => {
+        for (let k in heat_colors) {
+            if (s[k]) {
+                top = Math.max(top, s[k][1], s[k][3] || s[k][0]);
+            }
+        }
+    });
+    top *= 1.1;
+    let x = t => (t - t0) / (t1 - t0 || 1) * w;
+    let y = v => h - (v / top) * h;
+    let line = (color, value, dash) => {
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.setLineDash(dash ? [4, 3] : []);
+        let pen = false;
+        samples.forEach(s => {
+            let v = value(s);
+            if (v === undefined || v === null) {
+                pen = false;
+                return;
+            }
+            pen ? ctx.lineTo(x(s.t), y(v)) : ctx.moveTo(x(s.t), y(v));
+            pen = true;
+        });
+        ctx.stroke();
+    };
+    for (let k in heat_colors) {
+        if (!samples.some(s => s[k])) {
+            continue;
+        }
+        if (full && data.step > 1) {
+            ctx.fillStyle = heat_colors[k] + '3';
+            samples.forEach(s => {
+                if (s[k]) {
+                    ctx.fillRect(x(s.t), y(s[k][3]), Math.max(1, w / samples.length), y(s[k][2]) - y(s[k][3]));
+                }
+            });
+        }
+        line(heat_colors[k], s => s[k] ? s[k][0] : null);
+        if (full) {
+            line(heat_colors[k], s => s[k] ? s[k][1] : null, true);
+        }
+    }
+    if (full) {
+        line('#3a3', s => s.p * top / 100);
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#555';
+        ctx.font = '11px sans-serif';
+        ctx.fillText(`${Math.round(top)}°`, 2, 11);
+        ctx.fillText(moment(t0).format('MM-DD HH:mm'), 2, h - 3);
+        ctx.fillText(moment(t1).format('HH:mm:ss'), w - 50, h - 3);
+    }
+}
+
+function chart_show(target, span) {
+    chart.target = target;
+    chart.span = span || chart.span;
+    $('chart').style.display = target ? 'flex' : 'none';
+    $('chart-name').innerText = target || '';
+    chart_update();
+}
+
+function chart_update() {
+    if (!chart.target) {
+        return;
+    }
+    api(`/api/telemetry?target=${encodeURIComponent(chart.target)}&since=${Date.now() - chart.span}`)
+        .then(r => r.json())
+        .then(data => draw_chart($('chart-canvas'), data, true));
+}
+
+/** refresh row sparklines (last 10 minutes) and the open chart */
+function updateTelemetry() {
+    if (localStorage.stop === 'true') {
+        return;
+    }
+    api(`/api/telemetry?since=${Date.now() - 600000}`)
+        .then(r => r.json())
+        .then(all => {
+            for (let k in all) {
+                let canvas = $(`device-${k.hashCode()}-ch`);
+                if (canvas) {
+                    draw_chart(canvas, all[k], false);
+                }
+            }
+        });
+    chart_update();
+}
+
+let viewer = { key: null, bounds: null, layers: 0, layer: 0 };
+
+/** open the layer viewer on a queued job's gcode */
+function viewer_show(key) {
+    let el = lastQ.filter(el => el.key === key)[0];
+    viewer.key = key;
+    $('viewer').style.display = key ? 'flex' : 'none';
+    if (!key) {
+        return;
+    }
+    viewer.bounds = el && el.stats ? el.stats.bounds : null;
+    $('viewer-name').innerText = el ? el.name : key;
+    api(`/api/gcode.layers?key=${key}`)
+        .then(r => r.json())
+        .then(index => {
+            viewer.layers = index.layers.length;
+            $('viewer-layer').max = Math.max(0, viewer.layers - 1);
+            viewer_layer(0);
+        });
+}
+
+function viewer_step(dir) {
+    viewer_layer(Math.max(0, Math.min(viewer.layers - 1, viewer.layer + dir)));
+}
+
+function viewer_layer(layer) {
+    viewer.layer = parseInt(layer);
+    $('viewer-layer').value = viewer.layer;
+    if (!viewer.layers) {
+        return;
+    }
+    viewer_page(viewer.layer, 0, []);
+}
+
+/** fetch a layer a page at a time, then list and draw all of its lines */
+function viewer_page(layer, from, lines) {
+    api(`/api/gcode?key=${viewer.key}&layer=${layer}${from ? `&from=${from}` : ''}`)
+        .then(r => r.json())
+        .then(range => {
+            if (range.layer !== viewer.layer) {
+                return;
+            }
+            let first = range.from - lines.length;
+            lines = lines.concat(range.lines);
+            if (range.more) {
+                $('viewer-z').innerText = `layer ${range.layer + 1} / ${range.layers} loading ${lines.length} lines`;
+                return viewer_page(layer, range.from + range.count, lines);
+            }
+            $('viewer-z').innerText = `layer ${range.layer + 1} / ${range.layers} z ${range.z}`;
+            $('viewer-text').innerText = lines
+                .map((line, i) => `${first + i}  ${line}`)
+                .join('\n');
+            viewer_draw(lines);
+        });
+}
+
+/** plot a layer's moves top down: extrusions solid, travel faint */
+function viewer_draw(lines) {
+    let canvas = $('viewer-canvas');
+    let ctx = canvas.getContext('2d');
+    let w = canvas.width;
+    let h = canvas.height;
+    let b = viewer.bounds || { min: [0, 0], max: [200, 200] };
+    let span = Math.max(b.max[0] - b.min[0], b.max[1] - b.min[1]) || 1;
+    let scale = (Math.min(w, h) - 20) / span;
+    let sx = x => 10 + (x - b.min[0]) * scale;
+    let sy = y => h - 10 - (y - b.min[1]) * scale;
+    let pos = { X: null, Y: null, E: 0 };
+    let abs = true;
+    let absE = true;
+    ctx.clearRect(0, 0, w, h);
+    ctx.lineWidth = 1;
+    lines.forEach(line => {
+        let code = line.replace(/;.*/, '').trim().toUpperCase();
+        let args = {};
+        (code.match(/[XYZEF]-?[\d.]+/g) || []).forEach(a => args[a[0]] = parseFloat(a.substring(1)));
+        let cmd = code.split(/\s+/)[0];
+        if (cmd === 'G90') abs = absE = true;
+        if (cmd === 'G91') abs = absE = false;
+        if (cmd === 'M82') absE = true;
+        if (cmd === 'M83') absE = false;
+        if (cmd === 'G92' && args.E !== undefined) pos.E = args.E;
+        if (cmd !== 'G0' && cmd !== 'G1') {
+            return;
+        }
+        let next = {
+            X: args.X === undefined ? pos.X : abs ? args.X : pos.X + args.X,
+            Y: args.Y === undefined ? pos.Y : abs ? args.Y : pos.Y + args.Y,
+            E: args.E === undefined ? pos.E : absE ? args.E : pos.E + args.E
+        };
+        if (pos.X !== null && pos.Y !== null && next.X !== null && next.Y !== null) {
+            let extrude = next.E > pos.E;
+            ctx.strokeStyle = extrude ? '#2a6ebb' : 'rgba(0,0,0,0.15)';
+            ctx.beginPath();
+            ctx.moveTo(sx(pos.X), sy(pos.Y));
+            ctx.lineTo(sx(next.X), sy(next.Y));
+            ctx.stroke();
+        }
+        pos = next;
+    });
+}
+
+let console_target = null;
+
+function console_show(target) {
+    console_target = target;
+    $('console').style.display = target ? 'flex' : 'none';
+    $('console-name').innerText = target || '';
+    $('console-out').innerText = '';
+}
+
+function console_print(lines) {
+    let out = $('console-out');
+    out.innerText += lines.join('\n') + '\n';
+    out.scrollTop = out.scrollHeight;
+}
+
+/** run a control action on the console target and show the reply */
+function control(action, params) {
+    if (!console_target) {
+        return;
+    }
+    let args = Object.entries(params || {})
+        .map(kv => `&${kv[0]}=${encodeURIComponent(kv[1])}`)
+        .join('');
+    api(`/api/control?target=${encodeURIComponent(console_target)}&action=${action}${args}`, true)
+        .then(r => r.json())
+        .then(reply => {
+            if (reply.error) {
+                console_print([`! ${action}: ${reply.error}`]);
+                return;
+            }
+            console_print(reply.sent.map(line => `> ${line}`));
+            console_print([].concat(reply.reply || []).map(String));
+        })
+        .catch(error => console_print([`! ${error}`]));
+}
+
+function jog(axis, dir) {
+    control('jog', {[axis]: parseFloat($('console-step').value) * dir});
+}
+
+function console_send() {
+    let line = $('console-line');
+    if (line.value.trim()) {
+        control('gcode', {line: line.value});
+        line.value = '';
+    }
+}
+
 let icache = {};
 let fetching = [];
 let clearimage = null;
@@ -154,7 +474,7 @@ function updateImage(url, refresh) {
         return;
     }
     let t = refresh ? (Date.now()/2000).toString(36) : 123;
-    let u = `${url}?${t}`;
+    let u = `${url}${url.indexOf('?') < 0 ? '?' : '&'}${t}`;
     let i = icache[u] || new Image();
     let cache_new = false;
     if (!refresh && !icache[u]) {
@@ -212,7 +532,7 @@ function from_tag(v) {
 
 function print_cancel(target) {
     if (confirm(`cancel print on "${target}?"`)) {
-        fetch(`/api/print.cancel?target=${target}`)
+        api(`/api/print.cancel?target=${target}`, true)
             .then(r => r.json())
             .then(c => {
                 console.log({cancel: c});
@@ -220,20 +540,80 @@ function print_cancel(target) {
     }
 }
 
+function print_control(action, target) {
+    api(`/api/print.${action}?target=${target}`, true)
+        .then(r => r.json())
+        .then(c => {
+            console.log({[action]: c});
+        });
+}
+
 function queue_del(time) {
     if (!confirm('delete entry?')) {
         return;
     }
-    fetch(`/api/queue.del?time=${time}`)
+    api(`/api/queue.del?time=${time}`, true)
+        .then(r => r.json())
+        .then(q => queue(q));
+}
+
+function queue_resend(key) {
+    api(`/api/resend?key=${key}&time=${Date.now()}`, true)
+        .then(r => r.json())
+        .then(c => console.log({resend: c}));
+}
+
+function queue_op(op, key, dir) {
+    api(`/api/queue.${op}?key=${key}${dir ? `&dir=${dir}` : ''}`, true)
         .then(r => r.json())
         .then(q => queue(q));
 }
 
+function is_pending(el) {
+    return el.status === 'pending' || el.status === 'held' || el.status === 'retrying';
+}
+
+function status_text(el) {
+    if (el.status === 'retrying') {
+        let last = el.time.attempts[el.time.attempts.length - 1];
+        return `retry ${el.retries + 1} at ${moment(el.time.retry).format('HH:mm:ss')}: ${last.error}`;
+    }
+    if (el.print && !el.error) {
+        let print = el.print;
+        switch (print.state) {
+            case 'printing':
+            case 'paused':
+                return `${print.state} ${Math.round(print.progress)}%`;
+            case 'completed':
+                return `completed in ${duration(print.duration)}`;
+            case 'spooled':
+                return 'spooled';
+            default:
+                return `${print.state}${print.reason ? ': ' + print.reason : ''}`;
+        }
+    }
+    if (el.status === 'interrupted') {
+        return `interrupted while ${el.interrupted}`;
+    }
+    if (el.missing) {
+        return `${el.status} (files removed)`;
+    }
+    return el.status === 'held' && el.invalid ? `held: ${el.invalid}` : el.status;
+}
+
+function pending_state(el) {
+    return (is_pending(el) ? el.status : '') + (has_timelapse(el) ? '+timelapse' : '');
+}
+
+function has_timelapse(el) {
+    return el.timelapse && el.timelapse.end && el.timelapse.frames > 0;
+}
+
 function queue(q) {
     let changed = false;
     if (q.length === lastQ.length) {
         for (let i=0; i<q.length; i++) {
-            if (q[i].key !== lastQ[i].key) {
+            if (q[i].key !== lastQ[i].key || pending_state(q[i]) !== pending_state(lastQ[i])) {
                 changed = true;
                 break;
             }
@@ -250,6 +630,7 @@ function queue(q) {
         cell('th', div('file')),
         cell('th', div('size')),
         cell('th', div('status')),
+        cell('th', div('order')),
         '</tr></thead><tbody>'
     ];
     let lastday = null;
@@ -260,7 +641,7 @@ function queue(q) {
         let day = moment(time).format('dddd YYYY-MM-DD');
         if (day !== lastday) {
             html.push(`<tr>`);
-            html.push(cell('th', "--- " + day + " ---", {colspan: 6, class: "daypart"}));
+            html.push(cell('th', "--- " + day + " ---", {colspan: 7, class: "daypart"}));
             html.push('</tr>');
         }
         lastday = day;
@@ -270,7 +651,23 @@ function queue(q) {
         html.push(cell('td', tag, { onclick:`from_tag('${el.from}')` } ));
         html.push(cell('td', el.name));
         html.push(cell('td', el.size || '', {id: `q-${el.key}-size`} ));
-        html.push(cell('td', el.status, {id: `q-${el.key}-kick`, onclick: ""}));
+        html.push(cell('td', status_text(el), {id: `q-${el.key}-kick`, onclick: ""}));
+        html.push(cell('td', (is_pending(el) ?
+            cell('a', '&#9650;', {onclick: `queue_op('move','${el.key}','up')`}) +
+            cell('a', '&#9660;', {onclick: `queue_op('move','${el.key}','down')`}) +
+            cell('a', el.status === 'held' ? 'release' : 'hold', {
+                onclick: `queue_op('${el.status === 'held' ? 'release' : 'hold'}','${el.key}')`
+            }) : el.status === 'interrupted' ?
+            (el.missing || !el.time.queued ? '' :
+                cell('a', 'resend', {onclick: `queue_resend('${el.key}')`})) +
+            cell('a', 'discard', {onclick: `queue_del(${time})`}) : '') +
+            (el.index_file ? cell('a', 'view', {onclick: `viewer_show('${el.key}')`}) : '') +
+            (has_timelapse(el) ? cell('a', 'timelapse', {
+                onclick: `browse('/api/timelapse?key=${el.key}')`,
+                title: `${el.timelapse.frames} frames`
+            }) : ''),
+            {class: "actions"}
+        ));
         html.push('</tr>');
     });
     html.push('</tbody></table>');
@@ -279,7 +676,7 @@ function queue(q) {
         q.reverse().forEach(el => {
             try {
                 $(`q-${el.key}-size`).innerText = el.size;
-                $(`q-${el.key}-kick`).innerText = el.status;
+                $(`q-${el.key}-kick`).innerText = status_text(el);
             } catch (e) { }
         });
         return;
@@ -287,19 +684,22 @@ function queue(q) {
     $('queue').innerHTML = html.join('');
     q.forEach(el => {
         $(`q-${el.key}-kick`).onclick = () => {
+            if (is_pending(el) || el.missing) {
+                return;
+            }
             if (confirm(`resend file ${el.name} to ${el.target}`)) {
                 console.log({rekick: el.key});
-                fetch(`/api/resend?key=${el.key}&time=${Date.now()}`).then(v => console.log({kicked: v}));
+                queue_resend(el.key);
             }
         };
         let d = $(`q-${el.key}`);
         d.onmouseover = () => {
-            if (el.image_file) {
-                updateImage(el.image_file);
+            if (el.preview_file || el.image_file) {
+                updateImage(el.preview_file || el.image_file);
             } else {
                 updateImage();
             }
-            fetch(`/api/head?key=${el.key}`)
+            api(`/api/head?key=${el.key}`)
                 .then(v => v.json())
                 .then(h => {
                     if (h && h.length) {
@@ -318,7 +718,7 @@ function updateTargets(force) {
     if (!force && localStorage.stop === 'true') {
         return;
     }
-    fetch("/api/targets")
+    api("/api/targets")
         .then(r => r.json())
         .then(t => targets(t));
 }
@@ -327,15 +727,180 @@ function updateQueue(force) {
     if (!force && localStorage.stop === 'true') {
         return;
     }
-    fetch("/api/queue")
+    api("/api/queue")
         .then(r => r.json())
         .then(q => queue(q));
 }
 
-function init() {
-    setInterval(updateTargets, 1000);
-    setInterval(updateQueue, 5000);
+/** apply a pushed queue change to the last known queue */
+function queue_push(msg) {
+    let q = lastQ.slice();
+    let pos = msg.entry ? q.findIndex(el => el.key === msg.entry.key) : -1;
+    switch (msg.op) {
+        case 'all':
+            q = msg.entries;
+            break;
+        case 'add':
+        case 'status':
+        case 'done':
+        case 'error':
+            if (pos >= 0) {
+                q[pos] = msg.entry;
+            } else {
+                q.push(msg.entry);
+            }
+            break;
+        case 'delete':
+            q = q.filter(el => el.key !== msg.key);
+            break;
+        case 'order':
+            q.sort((a, b) => msg.keys.indexOf(a.key) - msg.keys.indexOf(b.key));
+            break;
+    }
+    queue(q);
+}
+
+function history_toggle() {
+    let show = $('history').style.display !== 'flex';
+    $('history').style.display = show ? 'flex' : 'none';
+    $('queue').style.display = show ? 'none' : 'flex';
+    $('history-toggle').innerText = show ? 'queue' : 'history';
+    if (show) {
+        history_render();
+    }
+}
+
+function duration(secs) {
+    if (!secs) {
+        return '';
+    }
+    secs = Math.round(secs);
+    let pad = v => String(v).padStart(2, '0');
+    return `${pad(Math.floor(secs / 3600))}:${pad(Math.floor(secs / 60) % 60)}:${pad(secs % 60)}`;
+}
+
+/** query history with the current filters and render stats and jobs */
+function history_render() {
+    let filter = {};
+    ['target', 'user', 'status', 'from', 'to'].forEach(k => {
+        let el = $(`h-${k}`);
+        if (el && el.value) {
+            filter[k] = el.value;
+        }
+    });
+    // date inputs are whole local days
+    let times = {from: 'T00:00:00', to: 'T23:59:59'};
+    let args = Object.keys(filter).map(k => `${k}=${encodeURIComponent(filter[k] + (times[k] || ''))}`).join('&');
+    Promise.all([
+        api(`/api/history?limit=500&${args}`).then(r => r.json()),
+        api(`/api/history.stats?${args}`).then(r => r.json())
+    ]).then(([records, stats]) => {
+        let input = (k, type, opts) => opts ?
+            `<select id="h-${k}" onchange="history_render()">` +
+                ['', ...opts].map(o => `<option${o === filter[k] ? ' selected' : ''}>${o}</option>`).join('') +
+            '</select>' :
+            `<input id="h-${k}" type="${type}" value="${filter[k] || ''}" placeholder="${k}" onchange="history_render()">`;
+        let html = [
+            '<div class="row">',
+            input('target', 'text', Object.keys(lastT)),
+            input('user', 'text'),
+            input('status', 'text', ['done', 'error']),
+            input('from', 'date'),
+            input('to', 'date'),
+            '</div>',
+            '<table><thead><tr>',
+            cell('th', div('printer')),
+            cell('th', div('jobs')),
+            cell('th', div('failed')),
+            cell('th', div('fail %')),
+            cell('th', div('filament')),
+            cell('th', div('print time')),
+            '</tr></thead><tbody>'
+        ];
+        let totals = Object.assign({all: stats.all}, stats.targets);
+        for (let name in totals) {
+            let t = totals[name];
+            html.push('<tr>');
+            html.push(cell('th', name));
+            html.push(cell('td', t.jobs));
+            html.push(cell('td', t.failed));
+            html.push(cell('td', (t.failure_rate * 100).toFixed(1)));
+            html.push(cell('td', `${(t.filament / 1000).toFixed(2)}m`));
+            html.push(cell('td', duration(t.print_time)));
+            html.push('</tr>');
+        }
+        html.push('</tbody></table><hr><table><thead><tr>');
+        ['date', 'to', 'user', 'file', 'size', 'est time', 'result'].forEach(h => html.push(cell('th', div(h))));
+        html.push('</tr></thead><tbody>');
+        records.forEach(rec => {
+            html.push('<tr>');
+            html.push(cell('td', moment(rec.time.done).format('YYYY-MM-DD HH:mm')));
+            html.push(cell('td', rec.target));
+            html.push(cell('td', rec.user || rec.from || ''));
+            html.push(cell('td', rec.name));
+            html.push(cell('td', rec.size));
+            html.push(cell('td', duration(rec.estime)));
+            html.push(cell('td', rec.error || rec.result));
+            html.push('</tr>');
+        });
+        html.push('</tbody></table>');
+        $('history').innerHTML = html.join('');
+    });
+}
 
+function startPolling() {
+    if (pollers.length) {
+        return;
+    }
+    pollers = [
+        setInterval(updateTargets, 1000),
+        setInterval(updateQueue, 5000)
+    ];
     updateTargets(true);
     updateQueue(true);
 }
+
+function stopPolling() {
+    pollers.forEach(timer => clearInterval(timer));
+    pollers = [];
+}
+
+/** subscribe to server push. poll while the socket is unavailable */
+function connect() {
+    if (!window.WebSocket) {
+        return;
+    }
+    let proto = location.protocol === 'https:' ? 'wss' : 'ws';
+    socket = new WebSocket(`${proto}://${location.host}/ws${location.search}`);
+    socket.onopen = () => {
+        stopPolling();
+    };
+    socket.onmessage = (evt) => {
+        let msg = JSON.parse(evt.data);
+        switch (msg.type) {
+            case 'targets':
+                targets(msg.targets);
+                break;
+            case 'device':
+                let t = Object.assign({}, lastT);
+                t[msg.name] = msg.device;
+                targets(t);
+                break;
+            case 'queue':
+                queue_push(msg);
+                break;
+        }
+    };
+    socket.onclose = () => {
+        socket = null;
+        startPolling();
+        setTimeout(connect, 5000);
+    };
+}
+
+function init() {
+    startPolling();
+    connect();
+    updateTelemetry();
+    setInterval(updateTelemetry, 5000);
+}